@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+
+/**
+ * Precompiles templates to an ES module, so that production needs neither template compilers
+ * nor template requests.
+ *
+ * Follows the Loader path conventions: templates are `templates/{name}.tpl`, layout templates are
+ * `templates/layouts/{type}.tpl`, layouts are `layouts/{name}.json`. Layouts are expanded with their
+ * layout templates and precompiled as well. Templates are precompiled by the Templator, so engines
+ * picked by a prefix or an extension are respected.
+ *
+ * The module is to be passed to the Factory with the `precompiled` option or set up with a templator:
+ * `import {setup} from './lib/templates.js'; setup(templator);`.
+ *
+ * Uses the Node.js build in `dist/node`, produced by `npm run build-node` (a part of `prepare`).
+ *
+ * Usage: `bullbone-precompile [root] [--out file] [--config file] [--templates path]
+ * [--layout-templates path] [--layouts path] [--ext ext]`.
+ */
+
+import {readdir, readFile, writeFile, mkdir} from 'node:fs/promises';
+import {dirname, join, relative, resolve, sep} from 'node:path';
+import {pathToFileURL} from 'node:url';
+import {parseArgs} from 'node:util';
+import _ from 'underscore';
+import Templator from '../dist/node/bull.templator.mjs';
+
+const usage = `Usage: bullbone-precompile [root] [options]
+
+Precompiles templates in the root directory (the current one by default) to an ES module.
+
+Options:
+  -o, --out <file>             An output file. Printed to stdout if not specified.
+  -c, --config <file>          A module exporting templating options (engines, defaultEngine) by default.
+  --templates <path>           Templates. Default: templates.
+  --layout-templates <path>    Layout templates. Default: templates/layouts.
+  --layouts <path>             Layouts to expand. Default: layouts.
+  --ext <ext>                  A template extension. Default: tpl.
+  -h, --help                   Show this help.
+`;
+
+/**
+ * @param {string} dir
+ * @param {string[]} exts
+ * @param {string[]} [exclude] Directories to skip.
+ * @return {Promise<Object.<string, string>>} File paths by names relative to the directory.
+ *   Without an extension for the first one, as is for others.
+ */
+async function findFiles(dir, exts, exclude = []) {
+    const files = {};
+
+    const walk = async (current) => {
+        let entries;
+
+        try {
+            entries = await readdir(current, {withFileTypes: true});
+        }
+        catch (e) {
+            if (e.code === 'ENOENT') {
+                return;
+            }
+
+            throw e;
+        }
+
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+
+        for (const entry of entries) {
+            const path = join(current, entry.name);
+
+            if (entry.isDirectory()) {
+                if (!exclude.includes(path)) {
+                    await walk(path);
+                }
+
+                continue;
+            }
+
+            const ext = exts.find(ext => entry.name.endsWith('.' + ext));
+
+            if (!ext) {
+                continue;
+            }
+
+            let name = relative(dir, path).split(sep).join('/');
+
+            if (ext === exts[0]) {
+                name = name.slice(0, -(ext.length + 1));
+            }
+
+            files[name] = path;
+        }
+    };
+
+    await walk(dir);
+
+    return files;
+}
+
+/**
+ * @param {Templator} templator
+ * @param {Object.<string, string>} options
+ * @return {Promise<Object.<string, string>>} Precompiled template code by name.
+ */
+async function precompileTemplates(templator, options) {
+    const files = await findFiles(options.templates, [options.ext, ...options.engineExts], [options.layoutTemplates]);
+    const templates = {};
+
+    for (const name in files) {
+        const source = await readFile(files[name], 'utf8');
+
+        try {
+            templates[name] = templator.precompileTemplate(source, name);
+        }
+        catch (e) {
+            throw new Error(`Could not precompile template "${name}" ('${files[name]}'): ${e.message}`);
+        }
+    }
+
+    return templates;
+}
+
+/**
+ * @param {Templator} templator
+ * @param {Object.<string, string>} options
+ * @return {Promise<{layout: Object, code: string}[]>} Expanded layouts with precompiled template code.
+ */
+async function precompileLayouts(templator, options) {
+    const files = await findFiles(options.layouts, ['json']);
+    const layoutTemplates = {};
+    const layouts = [];
+
+    for (const name in files) {
+        const layoutDefs = JSON.parse(await readFile(files[name], 'utf8'));
+
+        if (!layoutDefs || typeof layoutDefs.layout !== 'object') {
+            process.stderr.write(`Skipped layout "${name}": no layout definitions.\n`);
+
+            continue;
+        }
+
+        const type = layoutDefs.type || 'default';
+
+        if (!(type in layoutTemplates)) {
+            const path = join(options.layoutTemplates, type + '.' + options.ext);
+
+            try {
+                layoutTemplates[type] = _.template(await readFile(path, 'utf8'));
+            }
+            catch (e) {
+                throw new Error(`Could not load layout template "${type}" for layout "${name}" ('${path}'): ` +
+                    e.message);
+            }
+        }
+
+        // Same as the Templator does, without data.
+        const source = layoutTemplates[type](_.extend({}, layoutDefs));
+
+        try {
+            layouts.push({layout: layoutDefs, code: templator.precompileTemplate(source)});
+        }
+        catch (e) {
+            throw new Error(`Could not precompile layout "${name}" ('${files[name]}'): ${e.message}`);
+        }
+    }
+
+    return layouts;
+}
+
+/**
+ * @param {Object.<string, string>} templates
+ * @param {{layout: Object, code: string}[]} layouts
+ * @return {string}
+ */
+function buildModule(templates, layouts) {
+    let output = '// Generated by bullbone-precompile. Do not edit.\n\n';
+
+    output += '/**\n * Template specs by name.\n */\nexport const templates = {\n';
+
+    for (const name in templates) {
+        output += `    ${JSON.stringify(name)}: ${templates[name]},\n`;
+    }
+
+    output += '};\n\n';
+
+    output += '/**\n * Layouts expanded with their layout templates, with template specs.\n */\n' +
+        'export const layouts = [\n';
+
+    for (const item of layouts) {
+        output += `    {\n        layout: ${JSON.stringify(item.layout)},\n        template: ${item.code},\n    },\n`;
+    }
+
+    output += '];\n\n';
+
+    output += '/**\n * Add the templates to a templator. Bound to its engines.\n *\n' +
+        ' * @param {{addPrecompiled: function(Object): void}} templator A templator.\n */\n' +
+        'export function setup(templator) {\n    templator.addPrecompiled({templates, layouts});\n}\n';
+
+    return output;
+}
+
+/**
+ * @param {string|undefined} path
+ * @return {Promise<Object>}
+ */
+async function loadConfig(path) {
+    if (!path) {
+        return {};
+    }
+
+    const module = await import(pathToFileURL(resolve(path)).href);
+
+    return module.default || {};
+}
+
+async function main() {
+    const {values, positionals} = parseArgs({
+        allowPositionals: true,
+        options: {
+            'out': {type: 'string', short: 'o'},
+            'config': {type: 'string', short: 'c'},
+            'templates': {type: 'string', default: 'templates'},
+            'layout-templates': {type: 'string', default: 'templates/layouts'},
+            'layouts': {type: 'string', default: 'layouts'},
+            'ext': {type: 'string', default: 'tpl'},
+            'help': {type: 'boolean', short: 'h'},
+        },
+    });
+
+    if (values.help) {
+        process.stdout.write(usage);
+
+        return;
+    }
+
+    const root = positionals[0] || '.';
+    const config = await loadConfig(values.config);
+
+    const templator = new Templator({...config, loader: null});
+
+    const options = {
+        templates: join(root, values.templates),
+        layoutTemplates: join(root, values['layout-templates']),
+        layouts: join(root, values.layouts),
+        ext: values.ext,
+        // Templates named with an engine extension are used with the extension, as by the Loader.
+        engineExts: Object.values(config.engines || {})
+            .map(definition => definition.ext)
+            .filter(ext => ext && ext !== values.ext),
+    };
+
+    const templates = await precompileTemplates(templator, options);
+    const layouts = await precompileLayouts(templator, options);
+    const output = buildModule(templates, layouts);
+
+    if (!values.out) {
+        process.stdout.write(output);
+
+        return;
+    }
+
+    await mkdir(dirname(values.out), {recursive: true});
+    await writeFile(values.out, output);
+
+    process.stderr.write(
+        `Precompiled ${Object.keys(templates).length} templates and ${layouts.length} layouts to '${values.out}'.\n`
+    );
+}
+
+main().catch(e => {
+    process.stderr.write(`bullbone-precompile: ${e.message}\n`);
+    process.exitCode = 1;
+});
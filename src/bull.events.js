@@ -13,7 +13,8 @@ import _ from 'underscore';
  */
 const Events = {};
 
-if ('Backbone' in window) {
+// Not defined in Node.js, where the Loader can be used.
+if (typeof window !== 'undefined' && 'Backbone' in window) {
     /** For backward compatibility. */
     window.Backbone.Events = Events;
 }
@@ -4,12 +4,25 @@ import Renderer from './bull.renderer.js';
 import Layouter from './bull.layouter.js';
 import Templator from './bull.templator.js';
 
-let root = window;
+let root = typeof window !== 'undefined' ? window : globalThis;
 
 /**
  * @callback viewLoader
  * @param {string} viewName,
  * @param {function(): void} callback
+ * @param {function(Error): void} [errorCallback]
+ */
+
+/**
+ * A namespace. Resources and views named `namespace:name` are resolved with it.
+ *
+ * @typedef {Object} FactoryNamespace
+ *
+ * @property {import('./bull.loader.js').LoaderNamespaceResolver} [path] Resolves paths of templates,
+ *   layout templates, layouts and other resources. E.g. `client/modules/crm`.
+ * @property {string|viewLoader} [view] A prefix of view names passed to the view loader, e.g. `modules/crm`
+ *   turns `crm:record/detail` into `modules/crm/record/detail`. Or a view loader receiving a name without
+ *   the namespace.
  */
 
 /**
@@ -32,9 +45,41 @@ class Factory {
      *       loaders?: {
      *           template?: function(string, function(string)),
      *           layoutTemplate?: function(string, function(string)),
-     *       }
+     *       },
+     *       types?: Object.<string, import('./bull.loader.js').LoaderResourceType>,
+     *       parsers?: Object.<string, import('./bull.loader.js').LoaderParser>,
+     *       timeout?: number|Object.<string, number>,
+     *       retry?: import('./bull.loader.js').LoaderRetryPolicy,
+     *       cacheBusting?: import('./bull.loader.js').LoaderCacheBusting,
+     *       cache?: import('./bull.loader.js').LoaderCache,
+     *       provider?: import('./bull.loader.js').LoaderProvider,
+     *       headers?: Object.<string, string>,
+     *       credentials?: RequestCredentials,
+     *       interceptors?: import('./bull.loader.js').LoaderInterceptor[],
+     *       namespaces?: Object.<string, import('./bull.loader.js').LoaderNamespaceResolver>,
+     *       importer?: import('./bull.loader.js').LoaderImporter,
+     *       maxConcurrent?: number,
+     *       maxMetrics?: number,
+     *       integrity?: import('./bull.loader.js').LoaderIntegrity,
      *   },
+     *   namespaces?: Object.<string, FactoryNamespace>,
      *   preCompiledTemplates?: Object.<string, function()>,
+     *   precompiled?: {
+     *       templates?: Object.<string, *>,
+     *       layouts?: {layout: Object, data?: Object.<string, *>, template: *}[],
+     *   },
+     *   validateLayouts?: boolean,
+     *   templating?: {
+     *       compilable?: boolean,
+     *       handlebars?: Object,
+     *       helpers?: Object.<string, Function>,
+     *       partials?: Object.<string, string|Function>,
+     *       loadPartials?: boolean,
+     *       inheritance?: boolean,
+     *       engines?: Object.<string, import('./bull.templator.js').TemplatorEngineDefinition>,
+     *       defaultEngine?: string,
+     *       compileCacheLimit?: number,
+     *   },
      * }|null} options Configuration options.
      * <ul>
      *  <li>defaultViewName: {String} Default name for views when it is not defined.</li>
@@ -45,20 +90,60 @@ class Factory {
      *  <li>resources: {Object} Resources loading options: paths, exts, loaders. Example: <br>
      *    <i>{
      *      paths: { // Custom paths for resource files.
-     *        templates: 'resources/templates',
+     *        template: 'resources/templates',
      *        layoutTemplate: 'resources/templates/layouts',
+     *        layout: ['custom/layouts', 'layouts'], // Tried in order, until found.
      *      },
      *      exts: { // Custom extensions of resource files.
-     *        templates: 'tpl',
+     *        template: 'tpl',
      *      },
      *      loaders: {}, // Custom resources loading functions. Define it if some type of resources needs to be loaded
+     *      types: { // Custom resource types.
+     *        i18n: {path: 'i18n', ext: 'json', parse: 'json'},
+     *        template: {ext: 'js', module: true}, // Imported as ES modules exporting precompiled templates.
+     *      },
+     *      importer: request => import('./' + request.filePath), // Imports modules. Lets a bundler split chunks.
+     *      parsers: {}, // Custom parsers to be referenced by name in types.
      *      path: function (type, name) {} // Custom path function. Should return path to the needed resource.
+     *      timeout: 10000, // A request timeout in milliseconds. Can be set per type: {template: 5000}.
+     *      retry: {attempts: 2, delay: 500, factor: 2}, // Retries of failed requests with a backoff.
+     *      maxConcurrent: 6, // A max number of concurrent requests. Others are queued by priority.
+     *      maxMetrics: 200, // A max number of stored request metrics (default). Older ones are dropped.
+     *      integrity: {manifest: {'templates/record/detail.tpl': 'sha256-...'}}, // SHA-256 verification.
+     *      cacheBusting: {version: '1.0.0'}, // Cache busting: 'timestamp' (default), 'none', {version}, {manifest}.
+     *      cache: new ResourceCache({version: '1.0.0'}), // A persistent cache. Requires a versioned cache busting.
+     *      provider: new MemoryProvider({resources: {template: {}}}), // Fetches resources instead of HTTP.
+     *        // Use `new FsProvider({root: 'client'})` to load from the file system in Node.js.
+     *      headers: {Authorization: 'Bearer ...'}, // Additional request headers.
+     *      credentials: 'include', // A fetch credentials mode.
+     *      interceptors: [{ // Can change requests, short-circuit them with a response and transform responses.
+     *        request: request => {request.url = 'https://cdn.example.com/' + request.url},
+     *        response: (response, request) => response,
+     *      }],
      *    }</i>
      *  </li>
+     *  <li>namespaces: {Object} Namespaces of modules. Example: <br>
+     *    <i>{crm: {path: 'client/modules/crm', view: 'modules/crm'}}</i> – `crm:record/detail` is loaded from
+     *    `client/modules/crm/templates/record/detail.tpl` as a template and as `modules/crm/record/detail` as a view.
+     *  </li>
+     *  <li>preCompiledTemplates: {Object} Compiled templates by name.</li>
+     *  <li>precompiled: {Object} A module produced by the `bullbone-precompile` command. Template specs
+     *  are bound to the templator's engines, so helpers and partials registered in it are available.
+     *  Layouts expanded beforehand are used for views having the same layout definitions and no data.
+     *  Example: <i>import * as precompiled from './lib/templates.js';</i></li>
      *  <li>rendering: {Object} Rendering options: method (Method is the custom function for a rendering.
      *  Define it if you want to use another templating engine. <i>Function (template, data)</i>).</li>
+     *  <li>validateLayouts: {boolean} Validate layout definitions against the schema. Layouts loaded by the Loader
+     *  are validated once loaded. Errors contain the layout name and JSON paths of problems.</li>
      *  <li>templating: {Object} Templating options: {bool} compilable (If templates are compilable (like Handlebars).
-     *  True by default.)</li>
+     *  True by default.), {Object} helpers and {Object} partials (registered in a Handlebars environment
+     *  isolated from other factories), {Object} handlebars (an environment to use instead),
+     *  {bool} loadPartials (Load not registered partials as the `partial` resource type. True by default.),
+     *  {bool} inheritance (Template inheritance with `extend`, `block` and `content` helpers. True by default.),
+     *  {Object} engines (Template engines picked by a template extension or name prefix, e.g.
+     *  <i>{underscore: {engine: new UnderscoreEngine(), prefix: 'legacy/'}}</i>), {string} defaultEngine,
+     *  {number} compileCacheLimit (A max number of compiled templates cached by content, also of templates built
+     *  from layouts. 500 by default.)</li>
      * </ul>
      */
     constructor(options) {
@@ -68,8 +153,11 @@ class Factory {
 
         this._loader = options.customLoader || new Loader(options.resources || {});
         this._renderer = options.customRenderer || new Renderer();
-        this._layouter = options.customLayouter || new Layouter();
-        this._templator = options.customTemplator || new Templator({loader: this._loader});
+        this._layouter = options.customLayouter || new Layouter({validate: options.validateLayouts});
+        this._templator = options.customTemplator || new Templator({
+            ...options.templating,
+            loader: this._loader,
+        });
 
         this._helper = options.helper || null;
 
@@ -77,6 +165,22 @@ class Factory {
         this._getViewClassFunction = options.viewLoader || this._getViewClassFunction;
         this._viewLoader = this._getViewClassFunction;
         this._preCompiledTemplates = options.preCompiledTemplates;
+        this._viewNamespaces = {};
+
+        for (const namespace in options.namespaces || {}) {
+            this.registerNamespace(namespace, options.namespaces[namespace]);
+        }
+
+        if (options.validateLayouts && this._loader.registerType) {
+            // Layouts loaded by name are validated once loaded, so that errors contain the name.
+            this._loader.registerType('layout', {
+                validate: (layoutDefs, name) => this._layouter.validate(layoutDefs, name),
+            });
+        }
+
+        if (options.precompiled) {
+            this._templator.addPrecompiled(options.precompiled);
+        }
     }
 
     /** @private */
@@ -95,6 +199,27 @@ class Factory {
     _viewClassHash = null
     /** @private */
     _viewLoader = null
+    /**
+     * @type {Object.<string, string|viewLoader>}
+     * @private
+     */
+    _viewNamespaces = null
+
+    /**
+     * Register a namespace.
+     *
+     * @param {string} namespace A namespace. E.g. `crm`.
+     * @param {FactoryNamespace} definition A definition.
+     */
+    registerNamespace(namespace, definition) {
+        if (definition.path) {
+            this._loader.registerNamespace(namespace, definition.path);
+        }
+
+        if (definition.view) {
+            this._viewNamespaces[namespace] = definition.view;
+        }
+    }
 
     /**
      * Create a view.
@@ -102,17 +227,63 @@ class Factory {
      * @param {string} viewName A view name/path.
      * @param {import('./bull.view.js').ViewOptions} [options] Options.
      * @param {function(import('./bull.view.js').default)} [callback] Invoked once the view is ready.
+     * @param {function(Error)} [errorCallback] Invoked if the view could not be created.
+     *   If not passed, an error is thrown.
      */
-    create(viewName, options, callback) {
+    create(viewName, options, callback, errorCallback) {
+        const onError = error => {
+            if (typeof errorCallback !== 'function') {
+                throw error;
+            }
+
+            errorCallback(error);
+        };
+
         this._getViewClass(viewName, viewClass => {
             if (typeof viewClass === 'undefined') {
-                throw new Error(`A view class '${viewName}' not found.`);
+                onError(new Error(`A view class '${viewName}' not found.`));
+
+                return;
             }
 
             const view = new viewClass(options || {});
 
             this.prepare(view, callback);
-        });
+        }, onError);
+    }
+
+    /**
+     * Preload templates, layout templates and view classes ahead of navigation, e.g. on hover or when idle.
+     * Fills caches so that the first render does not wait for requests.
+     *
+     * @param {{
+     *     templates?: string[],
+     *     layoutTemplates?: string[],
+     *     views?: string[],
+     * }} resources Template names, layout types and view names.
+     * @return {Promise<void>} Rejected if any of resources could not be loaded.
+     */
+    preload(resources) {
+        const promises = [
+            ...(resources.templates || []).map(name => this._templator.preloadTemplate(name)),
+            ...(resources.layoutTemplates || []).map(type => this._templator.preloadLayoutTemplate(type)),
+            ...(resources.views || []).map(viewName => {
+                return new Promise((resolve, reject) => this._getViewClass(viewName, resolve, reject));
+            }),
+        ];
+
+        return Promise.all(promises).then(() => {});
+    }
+
+    /**
+     * Load a resource bundle. Templates, layout templates and layouts from the bundle
+     * will be served without separate requests.
+     *
+     * @param {string} url A bundle URL.
+     * @return {Promise<void>}
+     */
+    loadBundle(url) {
+        return this._templator.loadBundle(url);
     }
 
     /**
@@ -134,29 +305,44 @@ class Factory {
     }
 
     /** @private */
-    _getViewClassFunction(viewName, callback) {
+    _getViewClassFunction(viewName, callback, errorCallback) {
         let viewClass = root[viewName];
 
         if (typeof viewClass !== "function") {
-            throw new Error("function \"" + viewClass + "\" not found.");
+            errorCallback(new Error("function \"" + viewClass + "\" not found."));
+
+            return;
         }
 
         callback(viewClass);
     }
 
     /** @private */
-    _getViewClass(viewName, callback) {
+    _getViewClass(viewName, callback, errorCallback) {
         if (viewName in this._viewClassHash) {
             callback(this._viewClassHash[viewName]);
 
             return;
         }
 
-        this._getViewClassFunction(viewName, (viewClass) => {
+        let load = this._getViewClassFunction;
+        let name = viewName;
+
+        const index = viewName.indexOf(':');
+        const resolver = index !== -1 ? this._viewNamespaces[viewName.substr(0, index)] : undefined;
+
+        if (typeof resolver === 'function') {
+            load = resolver;
+            name = viewName.substr(index + 1);
+        } else if (typeof resolver === 'string') {
+            name = resolver.replace(/\/$/, '') + '/' + viewName.substr(index + 1);
+        }
+
+        load.call(this, name, (viewClass) => {
             this._viewClassHash[viewName] = viewClass;
 
             callback(viewClass);
-        });
+        }, errorCallback);
     }
 }
 
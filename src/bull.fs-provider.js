@@ -0,0 +1,148 @@
+
+/**
+ * A file system API used by the provider. Compatible with `fs/promises`.
+ *
+ * @typedef {Object} FsProviderFileSystem
+ *
+ * @property {function(string, {encoding: string, signal?: AbortSignal}): Promise<string>} readFile
+ */
+
+/**
+ * A path API used by the provider. Compatible with `path`.
+ *
+ * @typedef {Object} FsProviderPath
+ *
+ * @property {function(...string): string} resolve
+ */
+
+/**
+ * A resource provider reading resources from the local file system in Node.js. To be passed to the Loader
+ * with the `provider` option. File paths produced by the Loader (including the `path` function) are resolved
+ * against the root directory. Custom `loaders` still take precedence, so the same Factory configuration can be
+ * used in the browser and in Node.js, e.g. for server-side rendering, precompilation and headless tests.
+ *
+ * @alias Bull.FsProvider
+ */
+class FsProvider {
+
+    /**
+     * @param {{
+     *     root?: string,
+     *     fs?: FsProviderFileSystem,
+     *     path?: FsProviderPath,
+     *     encoding?: string,
+     * }} [options] Options.
+     * <ul>
+     *  <li>root: {string} A directory file paths are resolved against. The current directory by default.</li>
+     *  <li>fs: {Object} A file system API. `fs/promises` is imported if not passed.</li>
+     *  <li>path: {Object} A path API. `path` is imported if `fs` is not passed. Otherwise, paths are
+     *  joined with `/`.</li>
+     *  <li>encoding: {string} An encoding. `utf8` by default.</li>
+     * </ul>
+     */
+    constructor(options = {}) {
+        this._root = options.root || this._root;
+        this._fs = options.fs || null;
+        this._path = options.path || null;
+        this._encoding = options.encoding || this._encoding;
+    }
+
+    /** @private */
+    _root = '.'
+
+    /** @private */
+    _encoding = 'utf8'
+
+    /**
+     * @type {FsProviderFileSystem|null}
+     * @private
+     */
+    _fs = null
+
+    /**
+     * @type {FsProviderPath|null}
+     * @private
+     */
+    _path = null
+
+    /**
+     * Get a full path of a file.
+     *
+     * @param {string} filePath A file path produced by the Loader.
+     * @return {string}
+     */
+    resolvePath(filePath) {
+        // A custom path function may return URLs with a query string.
+        filePath = filePath.split('?')[0];
+
+        if (this._path) {
+            return this._path.resolve(this._root, filePath);
+        }
+
+        // Also Windows drive and UNC paths.
+        if (/^([a-zA-Z]:)?[\\/]/.test(filePath)) {
+            return filePath;
+        }
+
+        let root = this._root;
+
+        if (root.substr(-1) === '/') {
+            root = root.substr(0, root.length - 1);
+        }
+
+        return root + '/' + filePath;
+    }
+
+    /**
+     * Load content.
+     *
+     * @param {import('./bull.loader.js').LoaderRequest} request A request.
+     * @return {Promise<string>}
+     */
+    load(request) {
+        let path = request.filePath;
+
+        return this._getFs()
+            .then(fs => {
+                path = this.resolvePath(request.filePath);
+
+                return fs.readFile(path, {encoding: this._encoding, signal: request.signal});
+            })
+            .catch(e => {
+                if (!e || (e.code !== 'ENOENT' && e.code !== 'EACCES' && e.code !== 'EISDIR')) {
+                    throw e;
+                }
+
+                const error = new Error(`Could not load ${request.type} "${request.name}" from '${path}'.`);
+
+                error.status = e.code === 'EACCES' ? 403 : 404;
+
+                throw error;
+            });
+    }
+
+    /**
+     * @private
+     * @return {Promise<FsProviderFileSystem>}
+     */
+    _getFs() {
+        if (this._fs) {
+            return Promise.resolve(this._fs);
+        }
+
+        return Promise.all([
+            import(/* webpackIgnore: true */ 'node:fs/promises'),
+            this._path ? null : import(/* webpackIgnore: true */ 'node:path'),
+        ]).then(([fsModule, pathModule]) => {
+            this._fs = fsModule.default || fsModule;
+
+            if (pathModule) {
+                this._path = pathModule.default || pathModule;
+            }
+
+            return this._fs;
+        });
+    }
+}
+
+export default FsProvider;
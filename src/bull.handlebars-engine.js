@@ -0,0 +1,223 @@
+
+import Handlebars from 'handlebars';
+
+/** @type {string[]|null} */
+let builtInHelperNames = null;
+
+/**
+ * @return {string[]}
+ */
+const getBuiltInHelperNames = () => {
+    if (builtInHelperNames === null) {
+        builtInHelperNames = Object.keys(Handlebars.create().helpers);
+    }
+
+    return builtInHelperNames;
+};
+
+/**
+ * Whether objects have the same entries.
+ *
+ * @param {Object.<string, *>} object1
+ * @param {Object.<string, *>} object2
+ * @return {boolean}
+ */
+const isSame = (object1, object2) => {
+    let count = 0;
+
+    for (const key in object2) {
+        if (object1[key] !== object2[key] || !(key in object1)) {
+            return false;
+        }
+
+        count++;
+    }
+
+    return count === Object.keys(object1).length;
+};
+
+/**
+ * A template engine adapter for Handlebars.
+ *
+ * @alias Bull.HandlebarsEngine
+ */
+class HandlebarsEngine {
+
+    /**
+     * @param {{
+     *     handlebars?: typeof Handlebars,
+     * }} [options] Options.
+     * <ul>
+     *  <li>handlebars: {Object} A Handlebars environment. The global one by default. Helpers and partials
+     *  registered in the global `Handlebars` are available in other environments too, unless overridden.
+     *  Global overrides of built-in helpers, e.g. `helperMissing`, are used instead of the environment's
+     *  built-in ones.</li>
+     * </ul>
+     */
+    constructor(options = {}) {
+        this._handlebars = options.handlebars || Handlebars;
+        this._builtInHelpers = {};
+
+        if (this._handlebars === Handlebars) {
+            return;
+        }
+
+        for (const name of getBuiltInHelperNames()) {
+            if (name in this._handlebars.helpers) {
+                this._builtInHelpers[name] = this._handlebars.helpers[name];
+            }
+        }
+    }
+
+    /**
+     * @type {typeof Handlebars}
+     * @private
+     */
+    _handlebars = null
+
+    /**
+     * Built-in helpers of the environment, as they were on construction.
+     *
+     * @type {Object.<string, Function>}
+     * @private
+     */
+    _builtInHelpers = null
+
+    /**
+     * Global helpers and partials passed on rendering, along with copies of the global ones they were
+     * collected from. Exclude ones the environment has its own.
+     *
+     * @type {{
+     *     helpers: Object.<string, Function>,
+     *     partials: Object.<string, *>,
+     *     globalHelpers: Object.<string, Function>,
+     *     globalPartials: Object.<string, *>,
+     * }|null}
+     * @private
+     */
+    _merged = null
+
+    /**
+     * Compile a template.
+     *
+     * @param {string} source A source.
+     * @return {Function}
+     */
+    compile(source) {
+        return this._handlebars.compile(source);
+    }
+
+    /**
+     * Render a compiled template.
+     *
+     * @param {Function} template A compiled template.
+     * @param {Object} data Data.
+     * @param {Object} [options] Runtime options.
+     * @return {string}
+     */
+    render(template, data, options = {}) {
+        const handlebars = this._handlebars;
+
+        if (handlebars === Handlebars) {
+            return template(data, options);
+        }
+
+        const merged = this._getMerged();
+
+        return template(data, {
+            ...options,
+            helpers: options.helpers ? {...merged.helpers, ...options.helpers} : merged.helpers,
+            partials: options.partials ? {...merged.partials, ...options.partials} : merged.partials,
+        });
+    }
+
+    /**
+     * Bind a template compiled elsewhere, e.g. in the global `Handlebars`, to the environment.
+     * Helpers and partials of the environment are passed on rendering.
+     *
+     * @param {Function} template A compiled template.
+     * @return {function(Object, Object=): string}
+     */
+    bind(template) {
+        const handlebars = this._handlebars;
+
+        return (data, options = {}) => this.render(template, data, {
+            ...options,
+            helpers: {...handlebars.helpers, ...options.helpers},
+            partials: {...handlebars.partials, ...options.partials},
+        });
+    }
+
+    /**
+     * Drop merged helpers and partials. To be called after helpers or partials are registered
+     * in the environment. Changes in the global `Handlebars` are picked up anyway.
+     */
+    invalidate() {
+        this._merged = null;
+    }
+
+    /**
+     * @private
+     * @return {{helpers: Object.<string, Function>, partials: Object.<string, *>}}
+     */
+    _getMerged() {
+        const handlebars = this._handlebars;
+
+        if (
+            this._merged &&
+            isSame(this._merged.globalHelpers, Handlebars.helpers) &&
+            isSame(this._merged.globalPartials, Handlebars.partials)
+        ) {
+            return this._merged;
+        }
+
+        // Passed ones override ones of the environment on rendering.
+        const helpers = {};
+        const partials = {};
+
+        for (const name in Handlebars.helpers) {
+            const own = name in handlebars.helpers && this._builtInHelpers[name] !== handlebars.helpers[name];
+
+            if (!own) {
+                helpers[name] = Handlebars.helpers[name];
+            }
+        }
+
+        for (const name in Handlebars.partials) {
+            if (!(name in handlebars.partials)) {
+                partials[name] = Handlebars.partials[name];
+            }
+        }
+
+        this._merged = {
+            helpers: helpers,
+            partials: partials,
+            globalHelpers: {...Handlebars.helpers},
+            globalPartials: {...Handlebars.partials},
+        };
+
+        return this._merged;
+    }
+
+    /**
+     * Precompile a template into JavaScript code. Evaluates to a template spec for `Handlebars.template`.
+     *
+     * @param {string} source A source.
+     * @return {string}
+     */
+    precompile(source) {
+        return String(this._handlebars.precompile(source));
+    }
+
+    /**
+     * Create a compiled template from a precompiled spec. Bound to the environment.
+     *
+     * @param {Object} spec A spec.
+     * @return {Function}
+     */
+    template(spec) {
+        return this._handlebars.template(spec);
+    }
+}
+
+export default HandlebarsEngine;
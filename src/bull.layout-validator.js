@@ -0,0 +1,233 @@
+
+/**
+ * A schema. A subset of JSON Schema.
+ *
+ * @typedef {Object} LayoutSchema
+ *
+ * @property {string|string[]} [type] Allowed types: `string`, `number`, `boolean`, `object`, `array`, `null`.
+ * @property {Object.<string, LayoutSchema>} [properties] Property schemas.
+ * @property {string[]} [required] Required properties.
+ * @property {boolean} [additionalProperties] Whether properties not listed in `properties` are allowed.
+ */
+
+/**
+ * A validation problem.
+ *
+ * @typedef {Object} LayoutValidationProblem
+ *
+ * @property {string} path A JSON path, e.g. `$.layout[0].name`.
+ * @property {string} message A message.
+ */
+
+/**
+ * Layout definitions.
+ *
+ * @type {LayoutSchema}
+ */
+const layoutSchema = {
+    type: 'object',
+    required: ['layout'],
+    properties: {
+        type: {type: 'string'},
+        name: {type: 'string'},
+        layout: {type: ['array', 'object']},
+    },
+};
+
+/**
+ * A nested view item. An object in a layout tree having `view`, `layout` or `template`.
+ *
+ * @type {LayoutSchema}
+ */
+const layoutItemSchema = {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: {
+        name: {type: 'string'},
+        view: {type: ['string', 'boolean']},
+        layout: {type: ['string', 'object']},
+        template: {type: 'string'},
+        notToRender: {type: 'boolean'},
+        options: {type: 'object'},
+        id: {type: 'string'},
+        selector: {type: 'string'},
+        fullSelector: {type: 'string'},
+        el: {type: 'string'},
+        tag: {type: 'string'},
+        class: {type: 'string'},
+    },
+};
+
+/**
+ * Validates layout definitions against a declared schema.
+ *
+ * @alias Bull.LayoutValidator
+ */
+class LayoutValidator {
+
+    /**
+     * @param {{
+     *     schema?: LayoutSchema,
+     *     itemSchema?: LayoutSchema,
+     * }} [options] Options. Schemas to replace the default ones.
+     */
+    constructor(options = {}) {
+        this.schema = options.schema || layoutSchema;
+        this.itemSchema = options.itemSchema || layoutItemSchema;
+    }
+
+    /**
+     * Validate layout definitions.
+     *
+     * @param {Object} layoutDefs Layout definitions.
+     * @return {LayoutValidationProblem[]} Problems. Empty if valid.
+     */
+    validate(layoutDefs) {
+        const problems = [];
+
+        this._validateValue(layoutDefs, this.schema, '$', problems);
+
+        if (layoutDefs && typeof layoutDefs.layout === 'object') {
+            this._validateTree(layoutDefs.layout, '$.layout', problems);
+        }
+
+        return problems;
+    }
+
+    /**
+     * Validate layout definitions. Throws an error listing all problems if not valid.
+     *
+     * @param {Object} layoutDefs Layout definitions.
+     * @param {string} [name] A layout name for the error message. The `name` property is used if not passed.
+     * @throws {Error}
+     */
+    assertValid(layoutDefs, name) {
+        const problems = this.validate(layoutDefs);
+
+        if (!problems.length) {
+            return;
+        }
+
+        name = name || (layoutDefs && typeof layoutDefs.name === 'string' && layoutDefs.name) || null;
+
+        const details = problems
+            .map(problem => problem.path + ': ' + problem.message)
+            .join('; ');
+
+        if (name === null) {
+            throw new Error(`Invalid layout: ${details}.`);
+        }
+
+        throw new Error(`Invalid layout "${name}": ${details}.`);
+    }
+
+    /**
+     * @private
+     * @param {*} tree
+     * @param {string} path
+     * @param {LayoutValidationProblem[]} problems
+     */
+    _validateTree(tree, path, problems) {
+        for (const key in tree) {
+            const node = tree[key];
+
+            if (node == null || typeof node !== 'object') {
+                continue;
+            }
+
+            const nodePath = Array.isArray(tree) ?
+                `${path}[${key}]` :
+                this._getPropertyPath(path, key);
+
+            if ('view' in node || 'layout' in node || 'template' in node) {
+                this._validateValue(node, this.itemSchema, nodePath, problems);
+
+                continue;
+            }
+
+            this._validateTree(node, nodePath, problems);
+        }
+    }
+
+    /**
+     * @private
+     * @param {*} value
+     * @param {LayoutSchema} schema
+     * @param {string} path
+     * @param {LayoutValidationProblem[]} problems
+     */
+    _validateValue(value, schema, path, problems) {
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            const actualType = this._getType(value);
+
+            if (!types.includes(actualType)) {
+                problems.push({path: path, message: `should be ${types.join('|')}, got ${actualType}`});
+
+                return;
+            }
+        }
+
+        if (this._getType(value) !== 'object') {
+            return;
+        }
+
+        const properties = schema.properties || {};
+
+        for (const property of schema.required || []) {
+            if (!(property in value)) {
+                problems.push({path: this._getPropertyPath(path, property), message: 'is required'});
+            }
+        }
+
+        for (const property in value) {
+            const propertyPath = this._getPropertyPath(path, property);
+
+            if (!(property in properties)) {
+                if (schema.additionalProperties === false) {
+                    problems.push({path: propertyPath, message: 'is not allowed'});
+                }
+
+                continue;
+            }
+
+            this._validateValue(value[property], properties[property], propertyPath, problems);
+        }
+    }
+
+    /**
+     * @private
+     * @param {*} value
+     * @return {string}
+     */
+    _getType(value) {
+        if (value === null) {
+            return 'null';
+        }
+
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+
+        return typeof value;
+    }
+
+    /**
+     * @private
+     * @param {string} path
+     * @param {string} property
+     * @return {string}
+     */
+    _getPropertyPath(path, property) {
+        if (/^[A-Za-z_$][\w$]*$/.test(property)) {
+            return path + '.' + property;
+        }
+
+        return path + '[' + JSON.stringify(property) + ']';
+    }
+}
+
+export {layoutSchema, layoutItemSchema};
+
+export default LayoutValidator;
@@ -1,18 +1,74 @@
 
+import LayoutValidator from './bull.layout-validator.js';
+
 /**
  * @alias Bull.Layouter
  */
 class Layouter {
 
+    /**
+     * @param {{
+     *     validate?: boolean,
+     *     validator?: import('./bull.layout-validator.js').default,
+     * }} [options] Options.
+     * <ul>
+     *  <li>validate: {boolean} Validate layout definitions against the schema before finding nested views.
+     *  Each layout definitions object is validated once.</li>
+     *  <li>validator: {LayoutValidator} A validator with custom schemas.</li>
+     * </ul>
+     */
+    constructor(options) {
+        options = options || {};
+
+        if (options.validate || options.validator) {
+            this._validator = options.validator || new LayoutValidator();
+        }
+    }
+
+    /**
+     * @type {import('./bull.layout-validator.js').default|null}
+     * @private
+     */
+    _validator = null
+
+    /**
+     * Layout definitions already validated.
+     *
+     * @type {WeakSet<Object>}
+     * @private
+     */
+    _validated = new WeakSet()
+
+    /**
+     * Validate layout definitions if validation is enabled. The same object is validated once.
+     *
+     * @param {Object} layoutDefs Layout definitions.
+     * @param {string} [name] A layout name for the error message.
+     * @throws {Error} If the layout is not valid.
+     */
+    validate(layoutDefs, name) {
+        if (!this._validator || this._validated.has(layoutDefs)) {
+            return;
+        }
+
+        this._validator.assertValid(layoutDefs, name);
+
+        this._validated.add(layoutDefs);
+    }
+
     /**
      * @param {Object} layoutDefs
+     * @param {string} [name] A layout name for validation error messages.
      * @return {import('./bull.view.js').default[]}
+     * @throws {Error} If validation is enabled and the layout is not valid.
      */
-    findNestedViews(layoutDefs) {
+    findNestedViews(layoutDefs, name) {
         if (!layoutDefs) {
             throw new Error("Can not find nested views. No layout data and name.");
         }
 
+        this.validate(layoutDefs, name);
+
         let layout = layoutDefs.layout;
         let viewPathList = [];
 
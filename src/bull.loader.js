@@ -1,89 +1,715 @@
 
-import _ from 'underscore';
+import Events from './bull.events.js';
+
+/**
+ * A retry policy.
+ *
+ * @typedef {Object} LoaderRetryPolicy
+ *
+ * @property {number} [attempts] A number of retries after a failed request. Zero by default.
+ * @property {number} [delay] A delay before the first retry, in milliseconds.
+ * @property {number} [factor] A multiplier applied to the delay after each retry.
+ * @property {number} [maxDelay] A max delay between retries, in milliseconds.
+ */
+
+/**
+ * Load options.
+ *
+ * @typedef {Object} LoaderLoadOptions
+ *
+ * @property {AbortSignal} [signal] A signal to cancel loading.
+ * @property {number} [timeout] A timeout in milliseconds. Overrides the timeout configured for the type.
+ * @property {number} [priority] A priority. Requests with higher priority are sent first when the number
+ *   of concurrent requests is limited. Zero by default.
+ */
+
+/**
+ * A cache-busting strategy.
+ *
+ * - `'timestamp'` – a current timestamp is appended to every request, preventing any caching (default);
+ * - `'none'` or `false` – URLs are not modified;
+ * - `{version}` – a build version is appended;
+ * - `{manifest, version}` – a per-file hash is appended, the version (if set) is used for files missing
+ *   in the manifest; the manifest is a map of file paths (e.g. `templates/record/detail.tpl`) to hashes;
+ * - a function that receives a URL, a type and a name and returns a URL.
+ *
+ * @typedef {'timestamp'|'none'|false|{
+ *     version?: string,
+ *     manifest?: Object.<string, string>,
+ * }|function(string, string, string): string} LoaderCacheBusting
+ */
+
+/**
+ * Integrity verification. Fetched resources are checked against SHA-256 hashes before they are parsed
+ * or compiled. Requires SubtleCrypto, available in secure contexts.
+ *
+ * @typedef {Object} LoaderIntegrity
+ *
+ * @property {Object.<string, string>} manifest Hashes by file path (e.g. `templates/record/detail.tpl`).
+ *   Hex-encoded or in the subresource integrity format, e.g. `sha256-<base64>`. Bundles are looked up by URL.
+ * @property {boolean} [required] Reject resources missing in the manifest. Otherwise, they are not checked.
+ */
+
+/**
+ * A persistent cache. See `ResourceCache`. Used only with a versioned cache busting: `{version}`, `{manifest}`
+ * or a function. With `'timestamp'`, `'none'` or `false`, URLs don't change on a deploy, so the cache is not used.
+ *
+ * @typedef {Object} LoaderCache
+ *
+ * @property {function(string): Promise<*>} get Get an entry by a key.
+ * @property {function(string, *): Promise<void>} set Store an entry.
+ */
+
+/**
+ * A request to fetch a resource.
+ *
+ * @typedef {Object} LoaderRequest
+ *
+ * @property {string} type A resource type.
+ * @property {string} name A resource name.
+ * @property {string} filePath A file path.
+ * @property {string} url A URL. The file path with cache busting applied.
+ * @property {AbortSignal} [signal] A signal. Passed to providers.
+ * @property {Object.<string, string>} [headers] Request headers. Passed to providers and interceptors.
+ * @property {RequestCredentials} [credentials] A credentials mode. Passed to providers and interceptors.
+ * @property {string|LoaderResponse} [response] A response. If set by a request interceptor,
+ *   the request is not sent.
+ */
+
+/**
+ * A response.
+ *
+ * @typedef {Object} LoaderResponse
+ *
+ * @property {number} status A status code.
+ * @property {string} body A body.
+ */
+
+/**
+ * An interceptor. Request interceptors can change a URL, headers and credentials or short-circuit
+ * the request by setting a response. Response interceptors can transform a status and body.
+ * Interceptors are applied in order of registration. They can modify passed objects or return new ones.
+ *
+ * @typedef {Object} LoaderInterceptor
+ *
+ * @property {function(LoaderRequest): (LoaderRequest|void|Promise<LoaderRequest|void>)} [request]
+ *   Intercept a request.
+ * @property {function(LoaderResponse, LoaderRequest): (LoaderResponse|void|Promise<LoaderResponse|void>)} [response]
+ *   Intercept a response.
+ */
+
+/**
+ * A resource provider. Fetches resources instead of the built-in HTTP transport.
+ * Should reject with an error having the `status` property (e.g. 404) if a resource is not available.
+ *
+ * @typedef {Object} LoaderProvider
+ *
+ * @property {function(LoaderRequest): Promise<string|LoaderResponse>} load Load content.
+ */
+
+/**
+ * A namespace resolver. A base path for a namespace, e.g. `client/modules/crm`, type paths are appended to it.
+ * Or a function receiving a resource type and a base path of the type (e.g. `templates`) and returning
+ * a base path to look up namespaced resources in.
+ *
+ * @typedef {string|function(string, string): string} LoaderNamespaceResolver
+ */
+
+/**
+ * Loader events. Listeners receive a `LoaderMetric`. Fired for each request, including bundle requests
+ * and requests to fallback paths. Resources taken from loaded bundles or loaded by custom loaders are not reported.
+ *
+ * @typedef {'load:start'|'load:end'|'load:error'} LoaderEvents
+ */
+
+/**
+ * A request metric.
+ *
+ * @typedef {Object} LoaderMetric
+ *
+ * @property {string} type A resource type.
+ * @property {string} name A resource name.
+ * @property {string} url A URL.
+ * @property {number} [duration] A duration in milliseconds. Not set on `load:start`.
+ * @property {number|null} [size] A content size in bytes. Set on `load:end`. Null for modules.
+ * @property {boolean} [cached] Whether served from the persistent cache. Set on `load:end`.
+ * @property {Error} [error] An error. Set on `load:error`.
+ */
+
+/**
+ * A parser. Converts loaded content into a resource.
+ *
+ * @callback LoaderParser
+ *
+ * @param {string} content Content.
+ * @param {string} name A resource name.
+ * @return {*}
+ */
+
+/**
+ * A resource type.
+ *
+ * @typedef {Object} LoaderResourceType
+ *
+ * @property {string|string[]} [path] A base path. Multiple paths are tried in order until a resource is found,
+ *   e.g. `['custom/templates', 'client/templates']`.
+ * @property {string} [ext] A file extension.
+ * @property {string[]} [exts] Alternative file extensions. Names ending with one of them, e.g. `record/detail.html`,
+ *   are used as file names as is.
+ * @property {string|LoaderParser} [parse] A parser or a registered parser name. Built-in: `text` (default), `json`.
+ * @property {function(*, string): void} [validate] Validates a loaded resource. Invoked with a resource and a name.
+ *   Throws if the resource is not valid, the error is passed to the error callback.
+ * @property {function(string): string} [normalize] Converts a resource name into a path part.
+ * @property {function(string, function(*), function(Error)): void} [loader] A custom loading function.
+ *   Bypasses the built-in loading.
+ * @property {boolean} [module] Load resources as ES modules with the importer. The default export is used
+ *   as a resource, e.g. a compiled template, a template spec or a layout object. Parsers, the persistent cache,
+ *   interceptors, retries and timeouts are not applied. Next paths are tried only if the importer
+ *   rejects with an error having the 404 `status`.
+ */
+
+/**
+ * An importer. Imports an ES module. Can be defined to let a bundler resolve modules,
+ * e.g. `request => import('./client/' + request.filePath)`.
+ *
+ * @callback LoaderImporter
+ *
+ * @param {LoaderRequest} request A request.
+ * @return {Promise<{default: *}>}
+ */
+
+/**
+ * @type {Object.<string, LoaderResourceType>}
+ */
+const defaultTypes = {
+    layout: {
+        path: 'layouts',
+        ext: 'json',
+        parse: 'json',
+    },
+    template: {
+        path: 'templates',
+        ext: 'tpl',
+    },
+    layoutTemplate: {
+        path: 'templates/layouts',
+        ext: 'tpl',
+    },
+    partial: {
+        path: 'templates',
+        ext: 'tpl',
+    },
+};
 
 class Loader {
 
     /**
      * @param {{
-     *     paths?: Object.<string, string>,
+     *     paths?: Object.<string, string|string[]>,
      *     exts?: Object.<string, string>,
-     *     normalize?: Object.<string, string>,
+     *     normalize?: Object.<string, function(string): string>,
      *     loaders?: Object.<string, function(*): void>,
      *     path?: function(string, string): void,
      *     isJson?: Object.<string, boolean>,
+     *     types?: Object.<string, LoaderResourceType>,
+     *     parsers?: Object.<string, LoaderParser>,
+     *     timeout?: number|Object.<string, number>,
+     *     retry?: LoaderRetryPolicy,
+     *     cacheBusting?: LoaderCacheBusting,
+     *     cache?: LoaderCache,
+     *     provider?: LoaderProvider,
+     *     headers?: Object.<string, string>,
+     *     credentials?: RequestCredentials,
+     *     interceptors?: LoaderInterceptor[],
+     *     namespaces?: Object.<string, LoaderNamespaceResolver>,
+     *     importer?: LoaderImporter,
+     *     maxConcurrent?: number,
+     *     maxMetrics?: number,
+     *     integrity?: LoaderIntegrity,
      * }}options
      */
     constructor(options) {
         options = {...options};
 
-        this._paths = _.extend(this._paths, options.paths || {});
-        this._exts = _.extend(this._exts, options.exts || {});
-        this._normalize = _.extend(this._normalize, options.normalize || {});
-        this._isJson = _.extend(this._isJson, options.isJson || {});
-        this._externalLoaders = _.extend(this._externalLoaders, options.loaders || {});
+        this._types = {};
+        this._parsers = {...this._parsers, ...options.parsers};
+
+        for (const type in defaultTypes) {
+            this.registerType(type, defaultTypes[type]);
+        }
+
+        const legacyOptions = {
+            path: options.paths,
+            ext: options.exts,
+            normalize: options.normalize,
+            loader: options.loaders,
+        };
+
+        for (const param in legacyOptions) {
+            for (const type in legacyOptions[param] || {}) {
+                this.registerType(type, {[param]: legacyOptions[param][type]});
+            }
+        }
+
+        for (const type in options.isJson || {}) {
+            this.registerType(type, {parse: options.isJson[type] ? 'json' : 'text'});
+        }
+
+        for (const type in options.types || {}) {
+            this.registerType(type, options.types[type]);
+        }
+
         this._externalPathFunction = options.path || null;
+
+        if (typeof options.timeout === 'object' && options.timeout !== null) {
+            this._timeouts = {...options.timeout};
+        } else if (options.timeout) {
+            this._timeout = options.timeout;
+        }
+
+        this._retry = {...this._retry, ...options.retry};
+
+        if ('cacheBusting' in options) {
+            this.setCacheBusting(options.cacheBusting);
+        }
+
+        this._cache = options.cache || null;
+        this._provider = options.provider || null;
+        this._headers = {...this._headers, ...options.headers};
+        this._credentials = options.credentials || this._credentials;
+        this._interceptors = [...(options.interceptors || [])];
+        this._metrics = [];
+        this._maxMetrics = options.maxMetrics || this._maxMetrics;
+        this._namespaces = {};
+        this._importer = options.importer || this._importer;
+        this._maxConcurrent = options.maxConcurrent || null;
+        this._integrity = options.integrity || null;
+        this._queue = [];
+
+        for (const namespace in options.namespaces || {}) {
+            this.registerNamespace(namespace, options.namespaces[namespace]);
+        }
     }
 
-    _exts = {
-        layout: 'json',
-        template: 'tpl',
-        layoutTemplate: 'tpl',
+    /**
+     * Resource types.
+     *
+     * @type {Object.<string, LoaderResourceType>}
+     * @private
+     */
+    _types = null
+
+    /**
+     * @type {Object.<string, LoaderParser>}
+     * @private
+     */
+    _parsers = {
+        text: content => content,
+        json: content => JSON.parse(String(content)),
     }
 
-    _paths = {
-        layout: 'layouts',
-        template: 'templates',
-        layoutTemplate: 'templates/layouts',
+    _externalPathFunction = null
+
+    /**
+     * A default timeout in milliseconds. Null means no timeout.
+     *
+     * @type {number|null}
+     * @private
+     */
+    _timeout = null
+
+    /**
+     * Timeouts by resource type.
+     *
+     * @type {Object.<string, number>}
+     * @private
+     */
+    _timeouts = {}
+
+    /**
+     * @type {{attempts: number, delay: number, factor: number, maxDelay: number}}
+     * @private
+     */
+    _retry = {
+        attempts: 0,
+        delay: 500,
+        factor: 2,
+        maxDelay: 10000,
     }
 
-    _isJson = {
-        layout: true,
+    /**
+     * @type {LoaderCacheBusting}
+     * @private
+     */
+    _cacheBusting = 'timestamp'
+
+    /**
+     * In-flight requests by a type and name.
+     *
+     * @type {Object.<string, {controller: AbortController, count: number, promise: Promise<string>}>}
+     * @private
+     */
+    _pendingRequests = {}
+
+    /**
+     * Resources from loaded bundles by `type/name`.
+     *
+     * @type {Object.<string, *>}
+     * @private
+     */
+    _bundled = {}
+
+    /**
+     * File paths resources were found in, for types with multiple base paths.
+     *
+     * @type {Object.<string, string>}
+     * @private
+     */
+    _resolvedPaths = {}
+
+    /**
+     * @type {LoaderCache|null}
+     * @private
+     */
+    _cache = null
+
+    /**
+     * @type {LoaderProvider|null}
+     * @private
+     */
+    _provider = null
+
+    /**
+     * @type {Object.<string, string>}
+     * @private
+     */
+    _headers = {
+        'X-Requested-With': 'XMLHttpRequest',
+    }
+
+    /**
+     * @type {RequestCredentials}
+     * @private
+     */
+    _credentials = 'same-origin'
+
+    /**
+     * @type {LoaderInterceptor[]}
+     * @private
+     */
+    _interceptors = null
+
+    /**
+     * Metrics of completed requests.
+     *
+     * @type {LoaderMetric[]}
+     * @private
+     */
+    _metrics = null
+
+    /**
+     * A max number of stored metrics. Older ones are dropped.
+     *
+     * @type {number}
+     * @private
+     */
+    _maxMetrics = 200
+
+    /**
+     * @type {Object.<string, LoaderNamespaceResolver>}
+     * @private
+     */
+    _namespaces = null
+
+    /**
+     * @type {LoaderIntegrity|null}
+     * @private
+     */
+    _integrity = null
+
+    /**
+     * A max number of concurrent requests. Null means no limit.
+     *
+     * @type {number|null}
+     * @private
+     */
+    _maxConcurrent = null
+
+    /**
+     * Requests waiting for a free slot.
+     *
+     * @type {{key: string, priority: number, start: function(): void}[]}
+     * @private
+     */
+    _queue = null
+
+    /**
+     * A number of requests being sent.
+     *
+     * @private
+     */
+    _activeCount = 0
+
+    /**
+     * @type {LoaderImporter}
+     * @private
+     */
+    _importer = request => {
+        // Otherwise, relative URLs would be resolved against the library URL.
+        const url = typeof document !== 'undefined' ?
+            new URL(request.url, document.baseURI).href :
+            request.url;
+
+        return import(/* webpackIgnore: true */ url);
     }
 
-    _externalLoaders = {
-        layout: null,
-        template: null,
-        layoutTemplate: null,
+    /**
+     * Add an interceptor.
+     *
+     * @param {LoaderInterceptor} interceptor An interceptor.
+     */
+    addInterceptor(interceptor) {
+        this._interceptors.push(interceptor);
     }
 
-    _externalPathFunction = null
+    /**
+     * Register a namespace. Resources named `namespace:name` are looked up in paths provided by the resolver.
+     * Applies to all resource types. Takes precedence over the `path` function.
+     *
+     * @param {string} namespace A namespace. E.g. `crm`.
+     * @param {LoaderNamespaceResolver} resolver A base path or a function returning a base path.
+     */
+    registerNamespace(namespace, resolver) {
+        this._namespaces[namespace] = resolver;
+    }
+
+    /**
+     * Raise a priority of a queued request. Does nothing if the request is not queued
+     * or already has a higher priority.
+     *
+     * @param {string} type A resource type.
+     * @param {string} name A resource name.
+     * @param {number} priority A priority.
+     */
+    prioritize(type, name, priority) {
+        const item = this._queue.find(item => item.key === type + ':' + name);
+
+        if (item && item.priority < priority) {
+            item.priority = priority;
+        }
+    }
+
+    /**
+     * Get metrics of recently completed requests, in order of completion.
+     *
+     * @return {LoaderMetric[]}
+     */
+    getMetrics() {
+        return this._metrics.map(metric => ({...metric}));
+    }
+
+    /**
+     * Get metrics of the slowest completed requests.
+     *
+     * @param {number} [limit=10] A max number of items.
+     * @return {LoaderMetric[]}
+     */
+    getSlowest(limit = 10) {
+        return this.getMetrics()
+            .sort((a, b) => b.duration - a.duration)
+            .slice(0, limit);
+    }
+
+    /**
+     * Clear collected metrics.
+     */
+    clearMetrics() {
+        this._metrics = [];
+    }
+
+    /**
+     * Subscribe to an event.
+     *
+     * @param {LoaderEvents|string} name An event.
+     * @param {EventsCallback} callback A callback.
+     */
+    on(name, callback) {
+        // The context argument is needed.
+        Events.on.call(this, name, callback, arguments[2]);
+
+        return this;
+    }
+
+    /**
+     * Subscribe to an event. Fired once.
+     *
+     * @param {LoaderEvents|string} name An event.
+     * @param {EventsCallback} callback A callback.
+     */
+    once(name, callback) {
+        // The context argument is needed.
+        Events.once.call(this, name, callback, arguments[2]);
 
-    _normalize = {
-        layouts: function (name) {
-            return name;
-        },
-        templates: function (name) {
-            return name;
-        },
-        layoutTemplates: function (name) {
-            return name;
-        },
+        return this;
     }
 
+    /**
+     * Unsubscribe from an event or all events.
+     *
+     * @param {LoaderEvents|string} [name] From a specific event.
+     * @param {EventsCallback} [callback] From a specific callback.
+     */
+    off(name, callback) {
+        // The context argument is needed.
+        Events.off.call(this, name, callback, arguments[2]);
+
+        return this;
+    }
+
+    /**
+     * Trigger an event.
+     *
+     * @param {string} name An event.
+     * @param {...*} parameters Arguments.
+     */
+    trigger(name, ...parameters) {
+        Events.trigger.call(this, name, ...parameters);
+
+        return this;
+    }
+
+    /**
+     * Set a cache-busting strategy. E.g. after a version manifest is fetched.
+     *
+     * @param {LoaderCacheBusting} cacheBusting A strategy.
+     */
+    setCacheBusting(cacheBusting) {
+        this._cacheBusting = cacheBusting;
+    }
+
+    /**
+     * Set integrity verification. E.g. after a hash manifest is fetched.
+     *
+     * @param {LoaderIntegrity|null} integrity Verification parameters. Null to disable.
+     */
+    setIntegrity(integrity) {
+        this._integrity = integrity;
+    }
+
+    /**
+     * Register a resource type or override parameters of an existing one.
+     *
+     * @param {string} type A type.
+     * @param {LoaderResourceType} definition Parameters. Omitted parameters of an existing type are retained.
+     */
+    registerType(type, definition) {
+        this._types[type] = {...this._types[type], ...definition};
+    }
+
+    /**
+     * Register a parser to be referenced by name in resource types.
+     *
+     * @param {string} name A name.
+     * @param {LoaderParser} parser A parser.
+     */
+    registerParser(name, parser) {
+        this._parsers[name] = parser;
+    }
+
+    /**
+     * Get a file path of a resource. If there are multiple base paths, the one a resource was last
+     * found in is returned, otherwise the first one.
+     *
+     * @param {string} type A resource type.
+     * @param {string} name A resource name.
+     * @return {string}
+     */
     getFilePath(type, name) {
-        if (!(type in this._paths) || !(type in this._exts)) {
+        return this.getFilePathList(type, name)[0];
+    }
+
+    /**
+     * Get file paths to look up a resource in, in order.
+     *
+     * @param {string} type A resource type.
+     * @param {string} name A resource name.
+     * @return {string[]}
+     */
+    getFilePathList(type, name) {
+        const definition = this._types[type];
+
+        if (!definition || !definition.path || !definition.ext) {
             throw new TypeError("Unknown resource type \"" + type + "\" requested in Bull.Loader.");
         }
 
-        let namePart = name;
+        const namespaced = this._splitNamespace(name);
+
+        let namePart = namespaced ? namespaced.name : name;
 
-        if (type in this._normalize) {
-            namePart = this._normalize[type](name);
+        if (definition.normalize) {
+            namePart = definition.normalize(namePart);
         }
 
-        let pathPart = this._paths[type];
+        let pathParts = Array.isArray(definition.path) ? definition.path : [definition.path];
+
+        if (namespaced) {
+            const resolver = this._namespaces[namespaced.namespace];
+
+            pathParts = pathParts.map(pathPart => {
+                if (typeof resolver === 'function') {
+                    return resolver(type, pathPart);
+                }
 
-        if (pathPart.substr(-1) === '/') {
-            pathPart = pathPart.substr(0, pathPart.length - 1);
+                return resolver.replace(/\/$/, '') + '/' + pathPart;
+            });
         }
 
-        return pathPart + '/' + namePart + '.' + this._exts[type];
+        const hasExt = (definition.exts || []).some(ext => namePart.endsWith('.' + ext));
+
+        const list = pathParts.map(pathPart => {
+            if (pathPart.substr(-1) === '/') {
+                pathPart = pathPart.substr(0, pathPart.length - 1);
+            }
+
+            return pathPart + '/' + namePart + (hasExt ? '' : '.' + definition.ext);
+        });
+
+        const resolved = this._resolvedPaths[type + ':' + name];
+
+        if (resolved && list.includes(resolved)) {
+            return [resolved, ...list.filter(it => it !== resolved)];
+        }
+
+        return list;
     }
 
-    _callExternalLoader(type, name, callback) {
-        if (type in this._externalLoaders && this._externalLoaders[type] !== null) {
-            if (typeof this._externalLoaders[type] === 'function') {
-                this._externalLoaders[type](name, callback);
+    /**
+     * @private
+     * @param {string} name
+     * @return {{namespace: string, name: string}|null} Null if a name is not prefixed with a registered namespace.
+     */
+    _splitNamespace(name) {
+        const index = name.indexOf(':');
+
+        if (index === -1) {
+            return null;
+        }
+
+        const namespace = name.substr(0, index);
+
+        if (!(namespace in this._namespaces)) {
+            return null;
+        }
+
+        return {namespace: namespace, name: name.substr(index + 1)};
+    }
+
+    _callExternalLoader(type, name, callback, errorCallback) {
+        const loader = (this._types[type] || {}).loader;
+
+        if (loader !== undefined && loader !== null) {
+            if (typeof loader === 'function') {
+                loader(name, callback, errorCallback);
 
                 return true;
             }
@@ -94,59 +720,876 @@ class Loader {
         return null;
     }
 
-    load(type, name, callback) {
-        let customCalled = this._callExternalLoader(type, name, callback);
+    /**
+     * Load a resource.
+     *
+     * @param {string} type A resource type.
+     * @param {string} name A resource name.
+     * @param {function(*): void} callback Invoked with a loaded resource.
+     * @param {function(Error): void} [errorCallback] Invoked if loading failed.
+     * @param {LoaderLoadOptions} [options] Options.
+     */
+    load(type, name, callback, errorCallback, options = {}) {
+        const bundled = this._getFromBundle(type, name);
+
+        if (bundled) {
+            bundled.then(callback, errorCallback);
+
+            return;
+        }
+
+        let customCalled = this._callExternalLoader(type, name, callback, errorCallback);
 
         if (customCalled) {
             return;
         }
 
-        let response, filePath;
+        this._loadFromServer(type, name, options).then(callback, errorCallback);
+    }
 
-        if (this._externalPathFunction != null) {
-            filePath = this._externalPathFunction.call(this, type, name);
-        } else {
-            filePath = this.getFilePath(type, name);
+    /**
+     * Load a resource.
+     *
+     * @param {string} type A resource type.
+     * @param {string} name A resource name.
+     * @param {LoaderLoadOptions} [options] Options.
+     * @return {Promise<*>}
+     */
+    loadAsync(type, name, options = {}) {
+        return new Promise((resolve, reject) => {
+            const bundled = this._getFromBundle(type, name);
+
+            if (bundled) {
+                resolve(bundled);
+
+                return;
+            }
+
+            let customCalled = this._callExternalLoader(type, name, resolve, reject);
+
+            if (customCalled) {
+                return;
+            }
+
+            resolve(this._loadFromServer(type, name, options));
+        });
+    }
+
+    /**
+     * Load a bundle. A bundle is a JSON map of `type/name` keys to resource contents,
+     * e.g. `{"template/record/detail": "<div>...</div>", "layout/detail": {...}}`.
+     * Bundled resources are served without requests. Resources missing in bundles are loaded one by one.
+     *
+     * @param {string} url A bundle URL.
+     * @param {LoaderLoadOptions} [options] Options.
+     * @return {Promise<Object.<string, *>>} Bundle contents.
+     */
+    loadBundle(url, options = {}) {
+        const fullUrl = this._applyCacheBusting(url, 'bundle', url);
+
+        const request = {type: 'bundle', name: url, filePath: url, url: fullUrl};
+
+        return this._measure(request, () => this._fetchVerified(request, options))
+            .then(response => {
+                let bundle;
+
+                try {
+                    bundle = JSON.parse(String(response));
+                }
+                catch (e) {
+                    throw new SyntaxError("Error while parsing bundle \"" + url + "\": (" + e.message + ").");
+                }
+
+                this.addBundle(bundle);
+
+                return bundle;
+            });
+    }
+
+    /**
+     * Add bundled resources.
+     *
+     * @param {Object.<string, *>} bundle A map of `type/name` keys to resource contents.
+     */
+    addBundle(bundle) {
+        for (const key in bundle) {
+            this._bundled[key] = bundle[key];
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} type
+     * @param {string} name
+     * @return {Promise<*>|null}
+     */
+    _getFromBundle(type, name) {
+        const key = type + '/' + name;
+
+        if (!(key in this._bundled)) {
+            return null;
         }
 
-        filePath += '?_=' + new Date().getTime();
+        const content = this._bundled[key];
 
-        let xhr = new XMLHttpRequest();
+        return new Promise(resolve => {
+            if (typeof content === 'string') {
+                resolve(this._validate(type, name, this._parse(type, name, content)));
 
-        xhr.open('GET', filePath, true);
-        xhr.setRequestHeader('X-Requested-With', 'XMLHttpRequest');
+                return;
+            }
 
-        xhr.onreadystatechange = () => {
-            if (xhr.readyState === 4) {
-                response = xhr.responseText;
+            // A copy for each load, as parsed from a response. Consumers may modify it.
+            resolve(this._validate(type, name, JSON.parse(JSON.stringify(content))));
+        });
+    }
 
-                if (type in this._isJson) {
-                    if (this._isJson[type]) {
-                        let obj;
+    /**
+     * @private
+     * @param {string} type
+     * @param {string} name
+     * @param {LoaderLoadOptions} options
+     * @return {Promise<*>}
+     */
+    _loadFromServer(type, name, options) {
+        let promise;
 
-                        if (xhr.status === 404 || xhr.status === 403) {
-                            throw new Error("Could not load " + type + " \"" + name + "\".");
-                        }
+        try {
+            promise = this._request(type, name, options);
+        }
+        catch (e) {
+            // E.g. an unknown type. Passed to the error callback.
+            return Promise.reject(e);
+        }
 
-                        try {
-                            obj = JSON.parse(String(response));
-                        }
-                        catch (e) {
-                            throw new SyntaxError(
-                                "Error while parsing " + type + " \"" + name + "\": (" + e.message + ").");
+        if ((this._types[type] || {}).module) {
+            return promise.then(resource => this._validate(type, name, resource));
+        }
+
+        return promise.then(response => this._validate(type, name, this._parse(type, name, response)));
+    }
+
+    /**
+     * @private
+     * @param {string} type
+     * @param {string} name
+     * @param {*} resource
+     * @return {*}
+     */
+    _validate(type, name, resource) {
+        const validate = (this._types[type] || {}).validate;
+
+        if (validate) {
+            validate(resource, name);
+        }
+
+        return resource;
+    }
+
+    /**
+     * Parallel requests of the same resource share a single network request.
+     * The shared request is aborted only when all its callers have aborted.
+     *
+     * @private
+     * @param {string} type
+     * @param {string} name
+     * @param {LoaderLoadOptions} options
+     * @return {Promise<string>}
+     */
+    _request(type, name, options) {
+        const key = type + ':' + name;
+
+        let request = this._pendingRequests[key];
+
+        if (!request) {
+            let filePaths;
+
+            if (this._externalPathFunction != null && !this._splitNamespace(name)) {
+                filePaths = [this._externalPathFunction.call(this, type, name)];
+            } else {
+                filePaths = this.getFilePathList(type, name);
+            }
+
+            const controller = new AbortController();
+
+            const send = () => {
+                return this._fetchFromPaths(type, name, filePaths, {...options, signal: controller.signal});
+            };
+
+            request = {
+                controller: controller,
+                count: 0,
+                promise: this._schedule(key, options.priority || 0, controller.signal, send)
+                    .finally(() => {
+                        if (this._pendingRequests[key] === request) {
+                            delete this._pendingRequests[key];
                         }
+                    }),
+            };
+
+            // Rejection is handled by callers. Prevents an unhandled rejection once all callers aborted.
+            request.promise.catch(() => {});
 
-                        callback(obj);
+            this._pendingRequests[key] = request;
+        } else if (options.priority) {
+            this.prioritize(type, name, options.priority);
+        }
+
+        request.count++;
+
+        const signal = options.signal || null;
+
+        if (!signal) {
+            return request.promise;
+        }
+
+        const leave = () => {
+            request.count--;
+
+            if (request.count > 0) {
+                return;
+            }
+
+            if (this._pendingRequests[key] === request) {
+                delete this._pendingRequests[key];
+            }
+
+            request.controller.abort(signal.reason);
+        };
+
+        if (signal.aborted) {
+            leave();
+
+            return Promise.reject(signal.reason);
+        }
 
-                        return;
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                leave();
+                reject(signal.reason);
+            };
+
+            signal.addEventListener('abort', onAbort);
+
+            request.promise
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    /**
+     * Tries file paths in order, falling through to the next one if not found.
+     *
+     * @private
+     * @param {string} type
+     * @param {string} name
+     * @param {string[]} filePaths
+     * @param {LoaderLoadOptions} options
+     * @return {Promise<string>}
+     */
+    _fetchFromPaths(type, name, filePaths, options) {
+        const attempt = index => {
+            const filePath = filePaths[index];
+            const url = this._applyCacheBusting(filePath, type, name);
+
+            const request = {type: type, name: name, filePath: filePath, url: url};
+
+            const load = (this._types[type] || {}).module ?
+                () => this._import(request, options.signal) :
+                onCacheHit => this._fetchCached(request, options, onCacheHit);
+
+            return this._measure(request, load)
+                .then(content => {
+                    if (filePaths.length > 1) {
+                        this._resolvedPaths[type + ':' + name] = filePath;
+                    }
+
+                    return content;
+                })
+                .catch(error => {
+                    if (
+                        index >= filePaths.length - 1 ||
+                        options.signal.aborted ||
+                        !error ||
+                        error.status !== 404
+                    ) {
+                        throw error;
                     }
+
+                    return attempt(index + 1);
+                });
+        };
+
+        return attempt(0);
+    }
+
+    /**
+     * Entries in a persistent cache are stored by a file path along with a URL they were fetched from.
+     * An entry is valid while the URL is the same, i.e. while the version or the manifest hash is not changed.
+     * Timestamp cache busting makes every URL unique, no cache busting never changes it. The persistent cache
+     * is not used then.
+     *
+     * @private
+     * @param {LoaderRequest} request
+     * @param {LoaderLoadOptions} options
+     * @param {function(): void} onCacheHit
+     * @return {Promise<string>}
+     */
+    _fetchCached(request, options, onCacheHit) {
+        const cache = this._cache;
+        const filePath = request.filePath;
+        const url = request.url;
+
+        if (!cache || !this._isVersioned()) {
+            return this._fetchVerified(request, options);
+        }
+
+        const fetchAndStore = () => {
+            return this._fetchVerified(request, options)
+                .then(content => {
+                    // A storage failure is not a reason to fail loading.
+                    cache.set(filePath, {url: url, content: content}).catch(() => {});
+
+                    return content;
+                });
+        };
+
+        return cache.get(filePath)
+            .catch(() => undefined)
+            .then(entry => {
+                if (!entry || entry.url !== url) {
+                    return fetchAndStore();
                 }
 
-                callback(response);
+                // A corrupted entry is replaced.
+                return this._verify(request, entry.content).then(() => {
+                    onCacheHit();
+
+                    return entry.content;
+                }, fetchAndStore);
+            });
+    }
+
+    /**
+     * @private
+     * @param {LoaderRequest} request
+     * @param {LoaderLoadOptions} options
+     * @return {Promise<string>}
+     */
+    _fetchVerified(request, options) {
+        return this._fetchWithRetry(request, options)
+            .then(content => this._verify(request, content).then(() => content));
+    }
+
+    /**
+     * @private
+     * @param {LoaderRequest} request
+     * @param {string} content
+     * @return {Promise<void>}
+     */
+    _verify(request, content) {
+        const integrity = this._integrity;
+
+        if (!integrity) {
+            return Promise.resolve();
+        }
+
+        const expected = (integrity.manifest || {})[request.filePath];
+
+        const createError = reason => {
+            return new Error(
+                "Integrity check failed for " + request.type + " \"" + request.name + "\" " +
+                "('" + request.filePath + "'): " + reason + ".");
+        };
+
+        if (expected === undefined) {
+            return integrity.required ?
+                Promise.reject(createError('no hash in the manifest')) :
+                Promise.resolve();
+        }
+
+        if (typeof crypto === 'undefined' || !crypto.subtle) {
+            return Promise.reject(createError('SubtleCrypto is not available'));
+        }
+
+        return crypto.subtle.digest('SHA-256', new TextEncoder().encode(String(content)))
+            .then(buffer => {
+                const bytes = new Uint8Array(buffer);
+
+                const isSri = expected.startsWith('sha256-');
+
+                const actual = isSri ?
+                    'sha256-' + btoa(String.fromCharCode(...bytes)) :
+                    Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+                if (actual !== (isSri ? expected : expected.toLowerCase())) {
+                    throw createError('hash mismatch');
+                }
+            });
+    }
+
+    /**
+     * @private
+     * @param {LoaderRequest} request
+     * @param {function(function(): void): Promise<string>} fetch
+     * @return {Promise<string>}
+     */
+    _measure(request, fetch) {
+        const metric = {type: request.type, name: request.name, url: request.url};
+        const start = this._now();
+        let cached = false;
+
+        this.trigger('load:start', {...metric});
+
+        return fetch(() => cached = true)
+            .then(content => {
+                metric.duration = this._now() - start;
+                metric.size = typeof content === 'string' ? this._getSize(content) : null;
+                metric.cached = cached;
+
+                this._metrics.push(metric);
+
+                if (this._metrics.length > this._maxMetrics) {
+                    this._metrics.shift();
+                }
+
+                this.trigger('load:end', {...metric});
+
+                return content;
+            })
+            .catch(error => {
+                this.trigger('load:error', {...metric, duration: this._now() - start, error: error});
+
+                throw error;
+            });
+    }
+
+    /**
+     * Runs a task once a request slot is free. Queued tasks are started in order of priority.
+     * A task is dropped from the queue if the signal is aborted.
+     *
+     * @private
+     * @param {string} key
+     * @param {number} priority
+     * @param {AbortSignal} signal
+     * @param {function(): Promise<*>} task
+     * @return {Promise<*>}
+     */
+    _schedule(key, priority, signal, task) {
+        if (this._maxConcurrent === null) {
+            return task();
+        }
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                this._queue.splice(this._queue.indexOf(item), 1);
+
+                reject(signal.reason);
+            };
+
+            const item = {
+                key: key,
+                priority: priority,
+                start: () => {
+                    signal.removeEventListener('abort', onAbort);
+
+                    this._activeCount++;
+
+                    task()
+                        .finally(() => {
+                            this._activeCount--;
+                            this._processQueue();
+                        })
+                        .then(resolve, reject);
+                },
+            };
+
+            signal.addEventListener('abort', onAbort);
+
+            this._queue.push(item);
+            this._processQueue();
+        });
+    }
+
+    /**
+     * @private
+     */
+    _processQueue() {
+        while (this._queue.length && this._activeCount < this._maxConcurrent) {
+            let index = 0;
+
+            // The earliest of items with the highest priority.
+            this._queue.forEach((item, i) => {
+                if (item.priority > this._queue[index].priority) {
+                    index = i;
+                }
+            });
+
+            const [item] = this._queue.splice(index, 1);
+
+            item.start();
+        }
+    }
+
+    /**
+     * @private
+     * @param {LoaderRequest} request
+     * @param {AbortSignal} signal
+     * @return {Promise<*>}
+     */
+    _import(request, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal.aborted) {
+                reject(signal.reason);
+
+                return;
             }
+
+            // A module import can't be cancelled, only its result is discarded.
+            signal.addEventListener('abort', () => reject(signal.reason), {once: true});
+
+            Promise.resolve()
+                .then(() => this._importer(request))
+                .then(module => {
+                    if (!module || !('default' in module)) {
+                        throw new TypeError(
+                            "No default export in module of " + request.type + " \"" + request.name + "\".");
+                    }
+
+                    resolve(module.default);
+                })
+                .catch(reject);
+        });
+    }
+
+    /**
+     * @private
+     * @return {number}
+     */
+    _now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+
+    /**
+     * @private
+     * @param {*} content
+     * @return {number}
+     */
+    _getSize(content) {
+        content = String(content);
+
+        return typeof TextEncoder !== 'undefined' ?
+            new TextEncoder().encode(content).length :
+            content.length;
+    }
+
+    /**
+     * Whether URLs change when resources change, so that the persistent cache can be used.
+     *
+     * @private
+     * @return {boolean}
+     */
+    _isVersioned() {
+        const cacheBusting = this._cacheBusting;
+
+        if (typeof cacheBusting === 'function') {
+            return true;
+        }
+
+        if (!cacheBusting || typeof cacheBusting !== 'object') {
+            return false;
+        }
+
+        return cacheBusting.version != null || !!cacheBusting.manifest;
+    }
+
+    /**
+     * @private
+     * @param {string} filePath
+     * @param {string} type
+     * @param {string} name
+     * @return {string}
+     */
+    _applyCacheBusting(filePath, type, name) {
+        const cacheBusting = this._cacheBusting;
+
+        if (typeof cacheBusting === 'function') {
+            return cacheBusting(filePath, type, name);
+        }
+
+        if (!cacheBusting || cacheBusting === 'none') {
+            return filePath;
+        }
+
+        let value;
+
+        if (cacheBusting === 'timestamp') {
+            value = new Date().getTime();
+        } else if (cacheBusting.manifest && filePath in cacheBusting.manifest) {
+            value = cacheBusting.manifest[filePath];
+        } else {
+            value = cacheBusting.version;
+        }
+
+        if (value === undefined || value === null) {
+            return filePath;
+        }
+
+        return filePath + (filePath.includes('?') ? '&' : '?') + '_=' + encodeURIComponent(value);
+    }
+
+    /**
+     * @private
+     * @param {string} type
+     * @param {string} name
+     * @param {string} response
+     * @return {*}
+     */
+    _parse(type, name, response) {
+        let parser = (this._types[type] || {}).parse || 'text';
+
+        if (typeof parser === 'string') {
+            if (!(parser in this._parsers)) {
+                throw new TypeError("Unknown parser \"" + parser + "\" for " + type + " in Bull.Loader.");
+            }
+
+            parser = this._parsers[parser];
+        }
+
+        try {
+            return parser(response, name);
+        }
+        catch (e) {
+            throw new SyntaxError(
+                "Error while parsing " + type + " \"" + name + "\": (" + e.message + ").");
+        }
+    }
+
+    /**
+     * @private
+     * @param {LoaderRequest} request
+     * @param {LoaderLoadOptions} options
+     * @return {Promise<string>}
+     */
+    _fetchWithRetry(request, options) {
+        const type = request.type;
+        const signal = options.signal || null;
+
+        let timeout = this._timeout;
+
+        if (type in this._timeouts) {
+            timeout = this._timeouts[type];
+        }
+
+        if (options.timeout !== undefined) {
+            timeout = options.timeout;
+        }
+
+        const attempt = number => {
+            return this._fetch(request, signal, timeout)
+                .catch(error => {
+                    if (
+                        number >= this._retry.attempts ||
+                        (signal && signal.aborted) ||
+                        !this._isRetriable(error)
+                    ) {
+                        throw error;
+                    }
+
+                    const delay = Math.min(
+                        this._retry.delay * Math.pow(this._retry.factor, number),
+                        this._retry.maxDelay
+                    );
+
+                    return this._sleep(delay, signal).then(() => attempt(number + 1));
+                });
+        };
+
+        return attempt(0);
+    }
+
+    /**
+     * @private
+     * @param {LoaderRequest} request
+     * @param {AbortSignal|null} signal
+     * @param {number|null} timeout
+     * @return {Promise<string>}
+     */
+    _fetch(request, signal, timeout) {
+        if (signal && signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        const controller = new AbortController();
+
+        const onAbort = () => controller.abort(signal.reason);
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
+
+        let timeoutId = null;
+
+        if (timeout) {
+            timeoutId = setTimeout(() => {
+                controller.abort(
+                    new DOMException(`Timeout while loading ${request.type} "${request.name}".`, 'TimeoutError')
+                );
+            }, timeout);
+        }
+
+        return this._send(request, controller.signal)
+            .catch(error => {
+                // Some implementations reject with a generic AbortError instead of the reason.
+                if (controller.signal.aborted && controller.signal.reason) {
+                    throw controller.signal.reason;
+                }
+
+                throw error;
+            })
+            .finally(() => {
+                clearTimeout(timeoutId);
+
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+            });
+    }
+
+    /**
+     * @private
+     * @param {LoaderRequest} request
+     * @param {AbortSignal} signal
+     * @return {Promise<string>}
+     */
+    _send(request, signal) {
+        request = {
+            ...request,
+            headers: {...this._headers},
+            credentials: this._credentials,
+            signal: signal,
         };
 
-        xhr.send(null);
+        return this._intercept('request', request)
+            .then(interceptedRequest => {
+                request = interceptedRequest;
+
+                if (request.response !== undefined) {
+                    return request.response;
+                }
+
+                return this._transport(request);
+            })
+            .then(response => {
+                if (typeof response === 'string') {
+                    response = {status: 200, body: response};
+                }
+
+                return this._intercept('response', response, request);
+            })
+            .then(response => {
+                if (response.status < 200 || response.status >= 300) {
+                    const error = new Error(`Could not load ${request.type} "${request.name}".`);
+
+                    error.status = response.status;
+
+                    throw error;
+                }
+
+                return response.body;
+            });
+    }
+
+    /**
+     * @private
+     * @param {LoaderRequest} request
+     * @return {Promise<LoaderResponse|string>}
+     */
+    _transport(request) {
+        if (this._provider) {
+            return this._provider.load(request);
+        }
+
+        return fetch(request.url, {
+            headers: request.headers,
+            credentials: request.credentials,
+            signal: request.signal,
+        })
+            .then(response => {
+                return response.text().then(body => ({status: response.status, body: body}));
+            });
+    }
+
+    /**
+     * Applies interceptors in order. A short-circuited request is not passed to further request interceptors.
+     *
+     * @private
+     * @param {'request'|'response'} kind
+     * @param {LoaderRequest|LoaderResponse} value
+     * @param {LoaderRequest} [request]
+     * @return {Promise<*>}
+     */
+    _intercept(kind, value, request) {
+        return this._interceptors.reduce((promise, interceptor) => {
+            return promise.then(value => {
+                if (typeof interceptor[kind] !== 'function') {
+                    return value;
+                }
+
+                if (kind === 'request' && value.response !== undefined) {
+                    return value;
+                }
+
+                return Promise.resolve(interceptor[kind](value, request))
+                    .then(result => result === undefined ? value : result);
+            });
+        }, Promise.resolve(value));
+    }
+
+    /**
+     * @private
+     * @param {*} error
+     * @return {boolean}
+     */
+    _isRetriable(error) {
+        if (error && error.name === 'TimeoutError') {
+            return true;
+        }
+
+        if (error && typeof error.status === 'number') {
+            return error.status >= 500 || error.status === 408 || error.status === 429;
+        }
+
+        // A network failure.
+        return error instanceof TypeError;
+    }
+
+    /**
+     * @private
+     * @param {number} delay
+     * @param {AbortSignal|null} signal
+     * @return {Promise<void>}
+     */
+    _sleep(delay, signal) {
+        return new Promise((resolve, reject) => {
+            const timeoutId = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+
+                resolve();
+            }, delay);
+
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+
+                reject(signal.reason);
+            };
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
+        });
     }
 }
 
@@ -0,0 +1,217 @@
+
+/**
+ * A failure to inject. A status code or an error.
+ *
+ * @typedef {number|Error} MemoryProviderFailure
+ */
+
+/**
+ * A resource provider serving resources from memory. To be passed to the Loader with the `provider` option.
+ * Useful for tests and fixtures. Supports simulated latency and failure injection.
+ *
+ * Resources are looked up by a type and name first, then by a file path.
+ *
+ * @alias Bull.MemoryProvider
+ */
+class MemoryProvider {
+
+    /**
+     * @param {{
+     *     resources?: Object.<string, Object.<string, *>>,
+     *     files?: Object.<string, *>,
+     *     latency?: number|function(import('./bull.loader.js').LoaderRequest): number,
+     *     failures?: Object.<string, MemoryProviderFailure>,
+     * }} [options] Options.
+     * <ul>
+     *  <li>resources: {Object} Contents by type and name. Example: <br>
+     *    <i>{template: {'record/detail': '<div>{{name}}</div>'}, layout: {detail: {type: 'default'}}}</i></li>
+     *  <li>files: {Object} Contents by file path. Example: <i>{'templates/record/detail.tpl': '...'}</i></li>
+     *  <li>latency: {number|Function} A delay in milliseconds or a function returning a delay for a request.</li>
+     *  <li>failures: {Object} Failures by `type/name` or by file path.</li>
+     * </ul>
+     */
+    constructor(options = {}) {
+        this._resources = {};
+        this._files = {...options.files};
+        this._failures = {...options.failures};
+        this._latency = options.latency || 0;
+
+        for (const type in options.resources || {}) {
+            for (const name in options.resources[type]) {
+                this.add(type, name, options.resources[type][name]);
+            }
+        }
+    }
+
+    /**
+     * @type {Object.<string, Object.<string, *>>}
+     * @private
+     */
+    _resources = null
+
+    /**
+     * @type {Object.<string, *>}
+     * @private
+     */
+    _files = null
+
+    /**
+     * @type {Object.<string, MemoryProviderFailure>}
+     * @private
+     */
+    _failures = null
+
+    /**
+     * @type {number|function(import('./bull.loader.js').LoaderRequest): number}
+     * @private
+     */
+    _latency = 0
+
+    /**
+     * Add a resource.
+     *
+     * @param {string} type A type.
+     * @param {string} name A name.
+     * @param {*} content Content. Not string contents are serialized to JSON.
+     */
+    add(type, name, content) {
+        this._resources[type] = this._resources[type] || {};
+        this._resources[type][name] = content;
+    }
+
+    /**
+     * Add a file.
+     *
+     * @param {string} filePath A file path.
+     * @param {*} content Content. Not string contents are serialized to JSON.
+     */
+    addFile(filePath, content) {
+        this._files[filePath] = content;
+    }
+
+    /**
+     * Make requests of a resource fail.
+     *
+     * @param {string} key A `type/name` or a file path.
+     * @param {MemoryProviderFailure|null} failure A status code or an error. Null to stop failing.
+     */
+    setFailure(key, failure) {
+        if (failure === null) {
+            delete this._failures[key];
+
+            return;
+        }
+
+        this._failures[key] = failure;
+    }
+
+    /**
+     * Set a latency.
+     *
+     * @param {number|function(import('./bull.loader.js').LoaderRequest): number} latency A delay in milliseconds
+     *   or a function returning a delay for a request.
+     */
+    setLatency(latency) {
+        this._latency = latency;
+    }
+
+    /**
+     * Load content.
+     *
+     * @param {import('./bull.loader.js').LoaderRequest} request A request.
+     * @return {Promise<string>}
+     */
+    load(request) {
+        const latency = typeof this._latency === 'function' ?
+            this._latency(request) :
+            this._latency;
+
+        return this._delay(latency, request.signal).then(() => this._get(request));
+    }
+
+    /**
+     * @private
+     * @param {import('./bull.loader.js').LoaderRequest} request
+     * @return {string}
+     */
+    _get(request) {
+        const key = request.type + '/' + request.name;
+
+        const failure = key in this._failures ?
+            this._failures[key] :
+            this._failures[request.filePath];
+
+        if (failure !== undefined) {
+            throw this._createError(request, failure);
+        }
+
+        let content;
+
+        if (request.type in this._resources && request.name in this._resources[request.type]) {
+            content = this._resources[request.type][request.name];
+        } else if (request.filePath in this._files) {
+            content = this._files[request.filePath];
+        } else {
+            throw this._createError(request, 404);
+        }
+
+        // A copy for each load, as from a network.
+        return typeof content === 'string' ? content : JSON.stringify(content);
+    }
+
+    /**
+     * @private
+     * @param {import('./bull.loader.js').LoaderRequest} request
+     * @param {MemoryProviderFailure} failure
+     * @return {Error}
+     */
+    _createError(request, failure) {
+        if (failure instanceof Error) {
+            return failure;
+        }
+
+        const error = new Error(`Could not load ${request.type} "${request.name}".`);
+
+        error.status = failure;
+
+        return error;
+    }
+
+    /**
+     * @private
+     * @param {number} delay
+     * @param {AbortSignal} [signal]
+     * @return {Promise<void>}
+     */
+    _delay(delay, signal) {
+        if (signal && signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        if (!delay) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+
+                reject(signal.reason);
+            };
+
+            const timeoutId = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+
+                resolve();
+            }, delay);
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
+        });
+    }
+}
+
+export default MemoryProvider;
@@ -0,0 +1,168 @@
+
+const RESOURCE_STORE = 'resources';
+const META_STORE = 'meta';
+const VERSION_KEY = 'version';
+
+/**
+ * A persistent resource cache backed by IndexedDB. To be passed to the Loader with the `cache` option.
+ * Once loaded, templates and layouts are served from the cache on later visits, also offline.
+ *
+ * Entries are checked against the URL built by the Loader's cache-busting strategy, so a changed
+ * version or manifest hash invalidates them. Requires a `{version}`, `{manifest}` or function cache busting,
+ * the cache is not used otherwise. When the cache version changes, all entries are dropped.
+ * Does nothing if IndexedDB is not available.
+ *
+ * @alias Bull.ResourceCache
+ */
+class ResourceCache {
+
+    /**
+     * @param {{
+     *     version?: string,
+     *     name?: string,
+     * }} [options] Options.
+     * <ul>
+     *  <li>version: {string} A build version. Entries stored with another version are dropped.</li>
+     *  <li>name: {string} A database name.</li>
+     * </ul>
+     */
+    constructor(options = {}) {
+        this._name = options.name || this._name;
+        this._version = options.version || null;
+    }
+
+    /** @private */
+    _name = 'bullbone-resources'
+
+    /**
+     * @type {string|null}
+     * @private
+     */
+    _version = null
+
+    /**
+     * @type {Promise<IDBDatabase|null>|null}
+     * @private
+     */
+    _dbPromise = null
+
+    /**
+     * Get an entry.
+     *
+     * @param {string} key A key.
+     * @return {Promise<*>} Undefined if there's no entry.
+     */
+    get(key) {
+        return this._run(RESOURCE_STORE, 'readonly', store => store.get(key));
+    }
+
+    /**
+     * Store an entry.
+     *
+     * @param {string} key A key.
+     * @param {*} value A value.
+     * @return {Promise<void>}
+     */
+    set(key, value) {
+        return this._run(RESOURCE_STORE, 'readwrite', store => store.put(value, key))
+            .then(() => {});
+    }
+
+    /**
+     * Remove all entries.
+     *
+     * @return {Promise<void>}
+     */
+    clear() {
+        return this._run(RESOURCE_STORE, 'readwrite', store => store.clear())
+            .then(() => {});
+    }
+
+    /**
+     * @private
+     * @param {string} storeName
+     * @param {IDBTransactionMode} mode
+     * @param {function(IDBObjectStore): IDBRequest} action
+     * @return {Promise<*>}
+     */
+    _run(storeName, mode, action) {
+        return this._open().then(db => {
+            if (!db) {
+                return undefined;
+            }
+
+            return this._request(action(db.transaction(storeName, mode).objectStore(storeName)));
+        });
+    }
+
+    /**
+     * @private
+     * @param {IDBRequest} request
+     * @return {Promise<*>}
+     */
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * @private
+     * @return {Promise<IDBDatabase|null>}
+     */
+    _open() {
+        if (this._dbPromise) {
+            return this._dbPromise;
+        }
+
+        if (typeof indexedDB === 'undefined') {
+            this._dbPromise = Promise.resolve(null);
+
+            return this._dbPromise;
+        }
+
+        const request = indexedDB.open(this._name, 1);
+
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(RESOURCE_STORE);
+            request.result.createObjectStore(META_STORE);
+        };
+
+        this._dbPromise = this._request(request)
+            .then(db => this._checkVersion(db).then(() => db));
+
+        return this._dbPromise;
+    }
+
+    /**
+     * @private
+     * @param {IDBDatabase} db
+     * @return {Promise<void>}
+     */
+    _checkVersion(db) {
+        if (this._version === null) {
+            return Promise.resolve();
+        }
+
+        const meta = db.transaction(META_STORE, 'readonly').objectStore(META_STORE);
+
+        return this._request(meta.get(VERSION_KEY)).then(version => {
+            if (version === this._version) {
+                return;
+            }
+
+            const transaction = db.transaction([RESOURCE_STORE, META_STORE], 'readwrite');
+
+            transaction.objectStore(RESOURCE_STORE).clear();
+            transaction.objectStore(META_STORE).put(this._version, VERSION_KEY);
+
+            return new Promise((resolve, reject) => {
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        });
+    }
+}
+
+export default ResourceCache;
@@ -1,6 +1,50 @@
 
 import _ from 'underscore';
 import Handlebars from 'handlebars';
+import HandlebarsEngine from './bull.handlebars-engine.js';
+import UnderscoreEngine from './bull.underscore-engine.js';
+
+/**
+ * A template engine adapter.
+ *
+ * @typedef {Object} TemplatorEngine
+ *
+ * @property {function(string): *} compile Compiles a template source.
+ * @property {function(*, Object, Object=): string} render Renders a compiled template with data
+ *   and runtime options.
+ * @property {function(string): string} [precompile] Precompiles a template source into JavaScript code
+ *   evaluating to a spec. The code should be valid in strict mode, to be embedded into ES modules.
+ * @property {function(*): *} [template] Creates a compiled template from a precompiled spec.
+ * @property {function(Function): function(Object, Object=): string} [bind] Binds a template compiled
+ *   elsewhere, e.g. exported by an ES module, to the engine environment.
+ * @property {function(): void} [invalidate] Invoked when a helper or partial is registered in the templator.
+ */
+
+/**
+ * A template engine registration.
+ *
+ * @typedef {Object} TemplatorEngineDefinition
+ *
+ * @property {TemplatorEngine} engine An engine.
+ * @property {string} [ext] A file extension. Templates named with it, e.g. `record/detail.html`,
+ *   are compiled by the engine.
+ * @property {string} [prefix] A name prefix. Templates with names starting with it, e.g. `legacy/`,
+ *   are compiled by the engine.
+ */
+
+/**
+ * A load shared by parallel callers.
+ *
+ * @typedef {Object} TemplatorPendingLoad
+ *
+ * @property {{
+ *     callback: function(*),
+ *     errorCallback?: function(Error),
+ *     signal: AbortSignal|null,
+ *     onAbort: function(): void,
+ * }[]} waiters Callers waiting for the result.
+ * @property {AbortController} controller Aborts the load once all callers aborted.
+ */
 
 /**
  * @alias Bull.Templator
@@ -10,13 +54,45 @@ class Templator {
     /**
      * @param {{
      *   loader?: import('bull.loader').default,
+     *   compilable?: boolean,
+     *   handlebars?: typeof Handlebars,
+     *   helpers?: Object.<string, Function>,
+     *   partials?: Object.<string, string|Function>,
+     *   loadPartials?: boolean,
+     *   inheritance?: boolean,
+     *   engines?: Object.<string, TemplatorEngineDefinition>,
+     *   defaultEngine?: string,
+     *   compileCacheLimit?: number,
      * }|null} data
+     * <ul>
+     *  <li>handlebars: {Object} A Handlebars environment. By default, an isolated one is created
+     *  with `Handlebars.create()`.</li>
+     *  <li>helpers: {Object} Helpers to register in the environment.</li>
+     *  <li>partials: {Object} Partials to register in the environment.</li>
+     *  <li>loadPartials: {boolean} Load partials used in loaded templates (as the `partial` resource type)
+     *  if they are not registered. True by default.</li>
+     *  <li>inheritance: {boolean} Register the `extend`, `block` and `content` helpers for template inheritance.
+     *  True by default. Example: <br>
+     *    <i>{{#extend "record/base"}}{{#content "body" mode="append"}}...{{/content}}{{/extend}}</i> –
+     *    renders the `record/base` template with its `{{#block "body"}}...{{/block}}` extended.
+     *    Modes: `replace` (default), `append`, `prepend`. Parent templates are loaded as partials.</li>
+     *  <li>engines: {Object} Template engines by name. Built-in: `handlebars`, `underscore`. Example: <br>
+     *    <i>{underscore: {engine: new UnderscoreEngine(), prefix: 'legacy/', ext: 'html'}}</i></li>
+     *  <li>defaultEngine: {string} An engine for templates not matching any extension or prefix.
+     *  `handlebars` by default.</li>
+     *  <li>compileCacheLimit: {number} A max number of compiled templates cached by content. Used for inline
+     *  templates (`templateContent`) shared by many view instances. Also limits templates built from layouts
+     *  cached by layout definitions and data. Least recently used ones are evicted.</li>
+     * </ul>
      */
     constructor(data) {
         data = data || {};
 
         this._templates = {};
         this._layoutTemplates = {};
+        this._pendingTemplates = {};
+        this._pendingLayoutTemplates = {};
+        this._pendingPartials = {};
 
         /**
          * @type {import('bull.loader').default|null}
@@ -27,17 +103,267 @@ class Templator {
         if ('compilable' in data) {
             this.compilable = data.compilable;
         }
+
+        this._handlebars = data.handlebars ||
+            (typeof Handlebars !== 'undefined' ? Handlebars.create() : null);
+
+        this._engines = {};
+
+        // Before registering helpers, so that the engine tells built-in helpers from own ones.
+        if (this._handlebars) {
+            this.registerEngine('handlebars', {engine: new HandlebarsEngine({handlebars: this._handlebars})});
+        }
+
+        this.registerEngine('underscore', {engine: new UnderscoreEngine()});
+
+        for (const name in data.engines || {}) {
+            this.registerEngine(name, data.engines[name]);
+        }
+
+        for (const name in data.helpers || {}) {
+            this.registerHelper(name, data.helpers[name]);
+        }
+
+        for (const name in data.partials || {}) {
+            this.registerPartial(name, data.partials[name]);
+        }
+
+        if ('loadPartials' in data) {
+            this.loadPartials = data.loadPartials;
+        }
+
+        if (this._handlebars && data.inheritance !== false) {
+            this._registerInheritanceHelpers();
+        }
+
+        this.defaultEngine = data.defaultEngine || this.defaultEngine;
+        this.compileCacheLimit = data.compileCacheLimit || this.compileCacheLimit;
     }
 
     compilable = true
 
+    /**
+     * An engine for templates not matching any extension or prefix.
+     *
+     * @type {string}
+     */
+    defaultEngine = 'handlebars'
+
+    /**
+     * A max number of compiled templates cached by content. Also limits templates built from layouts.
+     *
+     * @type {number}
+     */
+    compileCacheLimit = 500
+
+    /**
+     * Load not registered partials used in loaded templates.
+     *
+     * @type {boolean}
+     */
+    loadPartials = true
+
+    /**
+     * A Handlebars environment templates are compiled in.
+     *
+     * @type {typeof Handlebars|null}
+     * @private
+     */
+    _handlebars = null
+
+    /**
+     * @type {Object.<string, TemplatorEngineDefinition>}
+     * @private
+     */
+    _engines = null
+
+    /**
+     * Compiled templates by an engine name and content. In order of use, the least recently used first.
+     *
+     * @type {Map<string, function(Object, Object=): string>}
+     * @private
+     */
+    _compiledTemplates = new Map()
+
+    /**
+     * Compiled parent templates by name, along with their sources.
+     *
+     * @type {Object.<string, {source: string|Function, template: Function}>}
+     * @private
+     */
+    _parentTemplates = {}
+
+    /**
+     * Whether the `extend` helper is registered by the templator.
+     *
+     * @private
+     */
+    _hasInheritance = false
+
     _templates = null
     _layoutTemplates = null
 
+    /**
+     * Compiled layout templates by layout type, along with their sources.
+     *
+     * @type {Object.<string, {source: string, template: function(Object): string}>}
+     * @private
+     */
+    _compiledLayoutTemplates = {}
+
+    /**
+     * Templates built from layouts by a hash of layout definitions and data. In order of use,
+     * the least recently used first.
+     *
+     * @type {Map<string, *>}
+     * @private
+     */
+    _builtTemplates = new Map()
+
+    /**
+     * Templates built from layouts beforehand, by a hash of layout definitions and data. Not evicted.
+     *
+     * @type {Object.<string, *>}
+     * @private
+     */
+    _addedLayoutTemplates = {}
+
+    /**
+     * Templates being loaded.
+     *
+     * @type {Object.<string, TemplatorPendingLoad>}
+     * @private
+     */
+    _pendingTemplates = null
+
+    /**
+     * Layout templates being loaded.
+     *
+     * @type {Object.<string, TemplatorPendingLoad>}
+     * @private
+     */
+    _pendingLayoutTemplates = null
+
+    /**
+     * Partials used in templates and partials, by source.
+     *
+     * @type {Map<string, {name: string, optional: boolean}[]>}
+     * @private
+     */
+    _partialReferences = new Map()
+
+    /**
+     * Partials being loaded.
+     *
+     * @type {Object.<string, TemplatorPendingLoad>}
+     * @private
+     */
+    _pendingPartials = null
+
     addTemplate(name, template) {
         this._templates[name] = template;
     }
 
+    /**
+     * Add templates precompiled by the `bullbone-precompile` command. Templates are bound to the engines
+     * of the templator. Handlebars ones are registered as partials too, as partials are loaded from templates.
+     *
+     * @param {{
+     *     templates?: Object.<string, *>,
+     *     layouts?: {layout: Object, data?: Object.<string, *>, template: *}[],
+     * }} precompiled Specs by template name and layouts expanded beforehand.
+     */
+    addPrecompiled(precompiled) {
+        for (const name in precompiled.templates || {}) {
+            const compiled = this._createFromSpec(precompiled.templates[name], name);
+
+            if (this._hasPartials(name) && !(name in this._handlebars.partials)) {
+                this.registerPartial(name, compiled);
+            }
+
+            this.addTemplate(name, this._bindCompiled(compiled, name));
+        }
+
+        for (const item of precompiled.layouts || []) {
+            const template = this._bindCompiled(this._createFromSpec(item.template));
+
+            this.addLayoutTemplate(item.layout, item.data || null, template);
+        }
+    }
+
+    /**
+     * @private
+     * @param {*} compiled
+     * @param {string} [name]
+     * @return {function(Object, Object=): string}
+     */
+    _bindCompiled(compiled, name) {
+        const engine = this._getEngine(name);
+
+        return (data, options) => engine.render(compiled, data, options);
+    }
+
+    /**
+     * Bind a template exported by an ES module to the engine, so that helpers and partials registered
+     * in the templator are available. A spec is created with the engine.
+     *
+     * @private
+     * @param {Function|Object} template A compiled template or a precompiled spec.
+     * @param {string} [name]
+     * @return {*}
+     */
+    _bindModuleTemplate(template, name) {
+        const engine = this._getEngine(name);
+
+        if (!engine) {
+            return template;
+        }
+
+        if (typeof template !== 'function') {
+            return this._bindCompiled(this._createFromSpec(template, name), name);
+        }
+
+        if (engine.bind) {
+            return engine.bind(template);
+        }
+
+        return this._bindCompiled(template, name);
+    }
+
+    /**
+     * @private
+     * @param {*} spec
+     * @param {string} [name]
+     * @return {*}
+     */
+    _createFromSpec(spec, name) {
+        const engine = this._getEngine(name);
+
+        if (!engine || !engine.template) {
+            throw new Error(`Template engine for "${name || ''}" does not support precompiled templates.`);
+        }
+
+        return engine.template(spec);
+    }
+
+    /**
+     * Add a template built from a layout beforehand, e.g. by the precompilation command.
+     * Used for views having the same layout definitions and data instead of building and compiling.
+     *
+     * @param {Object} layoutDefs Layout definitions.
+     * @param {Object.<string, *>|null} data Layout data.
+     * @param {*} template A compiled template.
+     */
+    addLayoutTemplate(layoutDefs, data, template) {
+        const layoutKey = this._getLayoutKey(layoutDefs, data);
+
+        if (layoutKey === null) {
+            return;
+        }
+
+        this._addedLayoutTemplates[layoutKey] = template;
+    }
+
     /**
      * @param {string|undefined} name
      * @param {{
@@ -45,8 +371,11 @@ class Templator {
      *     data?: Object.<string, *>
      * }|undefined} layoutOptions
      * @param callback
+     * @param {function(Error): void} [errorCallback] Invoked if a template could not be loaded.
+     * @param {import('./bull.loader.js').LoaderLoadOptions} [options] Load options. An aborted signal
+     *   stops waiting for the template, the error callback is invoked with the abort reason.
      */
-    getTemplate(name, layoutOptions,  callback) {
+    getTemplate(name, layoutOptions,  callback, errorCallback, options = {}) {
         layoutOptions = layoutOptions || {};
 
         if (!layoutOptions.layout && !name) {
@@ -76,36 +405,384 @@ class Templator {
             return;
         }
 
+        const layoutKey = layoutOptions.layout ?
+            this._getLayoutKey(layoutOptions.layout, layoutOptions.data) :
+            null;
+
+        if (layoutKey !== null && layoutKey in this._addedLayoutTemplates) {
+            callback(this._addedLayoutTemplates[layoutKey]);
+
+            return;
+        }
+
+        if (layoutKey !== null && this._builtTemplates.has(layoutKey)) {
+            callback(this._getFromCache(this._builtTemplates, layoutKey));
+
+            return;
+        }
+
+        const store = template => {
+            if (!layoutOptions.layout) {
+                this._templates[name] = template;
+
+                return;
+            }
+
+            if (layoutKey !== null) {
+                this._storeInCache(this._builtTemplates, layoutKey, template);
+            }
+        };
+
         let then = (template) => {
             if (tryCache()) {
-                // Prevents re-compiling when the same template was requested multiple times in parallel.
+                // Waiting callers are resolved from the template compiled for the first one.
                 return;
             }
 
-            if (this.compilable) {
-                template = this.compileTemplate(template);
+            if (!this.compilable && typeof template === 'string') {
+                store(template);
+
+                callback(template);
+
+                return;
             }
 
-            this._templates[name] = template;
+            // Templates loaded as ES modules are already compiled or precompiled.
+            if (typeof template !== 'string') {
+                let bound;
 
-            callback(template);
+                try {
+                    bound = this._bindModuleTemplate(template, name);
+                }
+                catch (e) {
+                    if (!errorCallback) {
+                        throw e;
+                    }
+
+                    errorCallback(e);
+
+                    return;
+                }
+
+                store(bound);
+
+                callback(bound);
+
+                return;
+            }
+
+            const compile = () => {
+                if (tryCache()) {
+                    return;
+                }
+
+                const compiled = this.compileTemplate(template, name);
+
+                store(compiled);
+
+                callback(compiled);
+            };
+
+            if (!this._hasPartials(name)) {
+                compile();
+
+                return;
+            }
+
+            this._resolvePartials(template, compile, errorCallback, options);
         };
 
         if (layoutOptions.layout) {
-            this._buildTemplate(layoutOptions.layout, layoutOptions.data, then);
+            this._buildTemplate(layoutOptions.layout, layoutOptions.data, then, errorCallback, options);
 
             return;
         }
 
-        this._loader.load('template', name, then);
+        if (options.priority && name in this._pendingTemplates) {
+            this.prioritize('template', name, options.priority);
+        }
+
+        this._loadOnce(this._pendingTemplates, name, (resolve, reject, loadOptions) => {
+            this._loader.load('template', name, resolve, reject, loadOptions);
+        }, then, errorCallback, options);
     }
 
-    compileTemplate(template) {
-        if (typeof Handlebars !== 'undefined') {
-            return Handlebars.compile(template);
+    /**
+     * Raise a priority of a template or layout template being loaded.
+     *
+     * @param {'template'|'layoutTemplate'} type A type.
+     * @param {string} name A template name or a layout type.
+     * @param {number} priority A priority.
+     */
+    prioritize(type, name, priority) {
+        if (!this._loader || typeof this._loader.prioritize !== 'function') {
+            return;
         }
 
-        return template;
+        this._loader.prioritize(type, name, priority);
+    }
+
+    /**
+     * Load and cache a template ahead of use.
+     *
+     * @param {string} name A template name.
+     * @return {Promise<void>}
+     */
+    preloadTemplate(name) {
+        return new Promise((resolve, reject) => {
+            this.getTemplate(name, null, () => resolve(), reject);
+        });
+    }
+
+    /**
+     * Load and cache a layout template ahead of use.
+     *
+     * @param {string} layoutType A layout type.
+     * @return {Promise<void>}
+     */
+    preloadLayoutTemplate(layoutType) {
+        return new Promise((resolve, reject) => {
+            this._getLayoutTemplate(layoutType, () => resolve(), reject);
+        });
+    }
+
+    /**
+     * Load a resource bundle and fill caches with templates and layout templates from it.
+     * Templates missing in the bundle are loaded one by one when requested.
+     *
+     * @param {string} url A bundle URL.
+     * @return {Promise<void>}
+     */
+    loadBundle(url) {
+        return this._loader.loadBundle(url).then(bundle => {
+            const templates = [];
+
+            for (const key in bundle) {
+                const index = key.indexOf('/');
+                const type = key.substring(0, index);
+                const name = key.substring(index + 1);
+
+                if (type === 'template' && !this._getCachedTemplate(name)) {
+                    const template = this.compilable ? this.compileTemplate(bundle[key], name) : bundle[key];
+
+                    this.addTemplate(name, template);
+
+                    templates.push({name: name, source: bundle[key]});
+
+                    continue;
+                }
+
+                if (type === 'layoutTemplate' && !this._getCachedLayoutTemplate(name)) {
+                    this._cacheLayoutTemplate(name, bundle[key]);
+
+                    continue;
+                }
+
+                if (type === 'partial' && this._handlebars && !(name in this._handlebars.partials)) {
+                    this.registerPartial(name, bundle[key]);
+                }
+            }
+
+            if (!this.compilable) {
+                return;
+            }
+
+            // Partials missing in the bundle.
+            return Promise.all(templates
+                .filter(({name}) => this._hasPartials(name))
+                .map(({source}) => {
+                    return new Promise((resolve, reject) => this._resolvePartials(source, resolve, reject));
+                })
+            );
+        }).then(() => {});
+    }
+
+    /**
+     * Register a helper. Available only in templates compiled by this templator.
+     *
+     * @param {string} name A name.
+     * @param {Function} helper A helper.
+     */
+    registerHelper(name, helper) {
+        this._handlebars.registerHelper(name, helper);
+
+        this._invalidateEngines();
+    }
+
+    /**
+     * Register a partial. Available only in templates compiled by this templator.
+     *
+     * @param {string} name A name.
+     * @param {string|Function} partial A partial. A template string or a compiled template.
+     */
+    registerPartial(name, partial) {
+        this._handlebars.registerPartial(name, partial);
+
+        this._invalidateEngines();
+    }
+
+    /**
+     * @private
+     */
+    _invalidateEngines() {
+        for (const name in this._engines) {
+            const engine = this._engines[name].engine;
+
+            if (engine && typeof engine.invalidate === 'function') {
+                engine.invalidate();
+            }
+        }
+    }
+
+    /**
+     * Register a template engine or override an existing one.
+     *
+     * @param {string} name A name.
+     * @param {TemplatorEngineDefinition} definition A definition.
+     */
+    registerEngine(name, definition) {
+        this._engines[name] = {...this._engines[name], ...definition};
+
+        this._compiledTemplates.clear();
+
+        const ext = this._engines[name].ext;
+
+        // To load templates named with an extension from files with that extension.
+        if (ext && this._loader && typeof this._loader.registerType === 'function') {
+            const exts = Object.values(this._engines)
+                .filter(item => item.ext)
+                .map(item => item.ext);
+
+            this._loader.registerType('template', {exts: exts});
+        }
+    }
+
+    /**
+     * Compile a template. Helpers and partials registered in the global `Handlebars` are available
+     * in Handlebars templates too, unless overridden by ones registered in the templator.
+     *
+     * Compiled templates are cached by content, so the same content is compiled once.
+     *
+     * @param {string} template A template.
+     * @param {string} [name] A template name. To pick an engine by an extension or prefix.
+     * @return {function(Object, Object=): string|string}
+     */
+    compileTemplate(template, name) {
+        const engineName = this._getEngineName(name);
+
+        if (engineName === null) {
+            return template;
+        }
+
+        const cache = this._compiledTemplates;
+        const key = engineName + ':' + template;
+
+        if (cache.has(key)) {
+            return this._getFromCache(cache, key);
+        }
+
+        const engine = this._engines[engineName].engine;
+        const compiled = engine.compile(template);
+
+        const render = (data, options) => engine.render(compiled, data, options);
+
+        this._storeInCache(cache, key, render);
+
+        return render;
+    }
+
+    /**
+     * @private
+     * @param {Map<string, *>} cache
+     * @param {string} key
+     * @return {*}
+     */
+    _getFromCache(cache, key) {
+        const value = cache.get(key);
+
+        // Moved to the end as the most recently used.
+        cache.delete(key);
+        cache.set(key, value);
+
+        return value;
+    }
+
+    /**
+     * Store in an LRU cache limited by `compileCacheLimit`.
+     *
+     * @private
+     * @param {Map<string, *>} cache
+     * @param {string} key
+     * @param {*} value
+     */
+    _storeInCache(cache, key, value) {
+        cache.set(key, value);
+
+        if (cache.size > this.compileCacheLimit) {
+            cache.delete(cache.keys().next().value);
+        }
+    }
+
+    /**
+     * Precompile a template into JavaScript code.
+     *
+     * @param {string} template A template.
+     * @param {string} [name] A template name. To pick an engine by an extension or prefix.
+     * @return {string}
+     */
+    precompileTemplate(template, name) {
+        const engine = this._getEngine(name);
+
+        if (!engine || !engine.precompile) {
+            throw new Error(`Template engine for "${name || ''}" does not support precompiling.`);
+        }
+
+        return engine.precompile(template);
+    }
+
+    /**
+     * Whether a template is compiled by a Handlebars engine, so partials used in it should be resolved.
+     *
+     * @private
+     * @param {string} [name]
+     * @return {boolean}
+     */
+    _hasPartials(name) {
+        return this._getEngine(name) instanceof HandlebarsEngine;
+    }
+
+    /**
+     * @private
+     * @param {string} [name]
+     * @return {TemplatorEngine|null}
+     */
+    _getEngine(name) {
+        const engineName = this._getEngineName(name);
+
+        return engineName !== null ? this._engines[engineName].engine : null;
+    }
+
+    /**
+     * @private
+     * @param {string} [name]
+     * @return {string|null}
+     */
+    _getEngineName(name) {
+        if (name) {
+            const entries = Object.entries(this._engines);
+
+            const entry =
+                entries.find(([, item]) => item.ext && name.endsWith('.' + item.ext)) ||
+                entries
+                    .filter(([, item]) => item.prefix && name.startsWith(item.prefix))
+                    .sort(([, a], [, b]) => b.prefix.length - a.prefix.length)[0];
+
+            if (entry) {
+                return entry[0];
+            }
+        }
+
+        return this.defaultEngine in this._engines ? this.defaultEngine : null;
     }
 
     _getCachedTemplate(templateName) {
@@ -128,33 +805,573 @@ class Templator {
         this._layoutTemplates[layoutType] = layoutTemplate;
     }
 
-    _buildTemplate(layoutDefs, data, callback) {
+    _buildTemplate(layoutDefs, data, callback, errorCallback, options) {
         let layoutType = layoutDefs.type || 'default';
 
         const proceed = layoutTemplate => {
-            let injection = _.extend(layoutDefs, data || {});
-            let template = _.template(layoutTemplate, injection);
-
-            if (typeof template === 'function') {
-                template = template(injection);
-            }
+            const injection = _.extend({}, layoutDefs, data || {});
 
-            callback(template);
+            callback(this._getCompiledLayoutTemplate(layoutType, layoutTemplate)(injection));
         };
 
+        this._getLayoutTemplate(layoutType, proceed, errorCallback, options);
+    }
+
+    /**
+     * @private
+     * @param {string} layoutType
+     * @param {string|function(Object): string} layoutTemplate
+     * @return {function(Object): string}
+     */
+    _getCompiledLayoutTemplate(layoutType, layoutTemplate) {
+        // Layout templates loaded as ES modules are already compiled.
+        if (typeof layoutTemplate === 'function') {
+            return layoutTemplate;
+        }
+
+        const cached = this._compiledLayoutTemplates[layoutType];
+
+        if (cached && cached.source === layoutTemplate) {
+            return cached.template;
+        }
+
+        const template = _.template(layoutTemplate);
+
+        this._compiledLayoutTemplates[layoutType] = {source: layoutTemplate, template: template};
+
+        return template;
+    }
+
+    /**
+     * A stable hash of layout definitions and data. Null if they can't be serialized or contain functions,
+     * as different closures can have the same source.
+     *
+     * @private
+     * @param {Object} layoutDefs
+     * @param {Object} [data]
+     * @return {string|null}
+     */
+    _getLayoutKey(layoutDefs, data) {
+        let json;
+
+        try {
+            json = JSON.stringify([layoutDefs, data || null], (key, value) => {
+                if (typeof value === 'function') {
+                    throw new TypeError('Not serializable.');
+                }
+
+                if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                    return value;
+                }
+
+                const sorted = {};
+
+                Object.keys(value).sort().forEach(key => sorted[key] = value[key]);
+
+                return sorted;
+            });
+        }
+        catch (e) {
+            return null;
+        }
+
+        return this._hash(json);
+    }
+
+    /**
+     * A 53-bit hash of a string (cyrb53).
+     *
+     * @private
+     * @param {string} value
+     * @return {string}
+     */
+    _hash(value) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+
+        for (let i = 0; i < value.length; i++) {
+            const code = value.charCodeAt(i);
+
+            h1 = Math.imul(h1 ^ code, 2654435761);
+            h2 = Math.imul(h2 ^ code, 1597334677);
+        }
+
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+    }
+
+    /**
+     * @private
+     * @param {string} layoutType
+     * @param {function(string)} callback
+     * @param {function(Error)} [errorCallback]
+     * @param {import('./bull.loader.js').LoaderLoadOptions} [options]
+     */
+    _getLayoutTemplate(layoutType, callback, errorCallback, options = {}) {
         let layoutTemplate = this._getCachedLayoutTemplate(layoutType);
 
         if (layoutTemplate) {
-            proceed(layoutTemplate);
+            callback(layoutTemplate);
 
             return;
         }
 
-        this._loader.load('layoutTemplate', layoutType, layoutTemplate => {
-            this._cacheLayoutTemplate(layoutType, layoutTemplate);
+        if (options.priority && layoutType in this._pendingLayoutTemplates) {
+            this.prioritize('layoutTemplate', layoutType, options.priority);
+        }
 
-            proceed(layoutTemplate);
-        });
+        this._loadOnce(this._pendingLayoutTemplates, layoutType, (resolve, reject, loadOptions) => {
+            this._loader.load('layoutTemplate', layoutType, layoutTemplate => {
+                this._cacheLayoutTemplate(layoutType, layoutTemplate);
+
+                resolve(layoutTemplate);
+            }, reject, loadOptions);
+        }, callback, errorCallback, options);
+    }
+
+    /**
+     * Load partials used in a template and not registered yet, including nested ones.
+     * Loaded partials are registered at once. Nested partials of registered ones are looked up too,
+     * as they can still be being loaded. Only loads are waited for, so partials including each other
+     * don't wait for each other.
+     *
+     * @private
+     * @param {string} template A template.
+     * @param {function(): void} callback
+     * @param {function(Error)} [errorCallback]
+     * @param {import('./bull.loader.js').LoaderLoadOptions} [options]
+     */
+    _resolvePartials(template, callback, errorCallback, options = {}) {
+        if (!this.loadPartials || !this._handlebars || !this._loader) {
+            callback();
+
+            return;
+        }
+
+        const visited = new Set();
+
+        // Until the template is walked.
+        let count = 1;
+        let isFailed = false;
+
+        const onLoad = () => {
+            count--;
+
+            if (!count && !isFailed) {
+                callback();
+            }
+        };
+
+        const onError = error => {
+            if (isFailed) {
+                return;
+            }
+
+            isFailed = true;
+
+            if (!errorCallback) {
+                throw error;
+            }
+
+            errorCallback(error);
+        };
+
+        const walk = source => {
+            for (const {name, optional} of this._getPartialReferences(source)) {
+                if (visited.has(name)) {
+                    continue;
+                }
+
+                visited.add(name);
+
+                const registered = this._getRegisteredPartial(name);
+
+                if (registered !== undefined) {
+                    if (typeof registered === 'string') {
+                        walk(registered);
+                    }
+
+                    continue;
+                }
+
+                count++;
+
+                this._loadOnce(this._pendingPartials, name, (resolve, reject, loadOptions) => {
+                    this._loader.load('partial', name, partial => {
+                        this.registerPartial(name, partial);
+
+                        resolve(partial);
+                    }, reject, loadOptions);
+                }, partial => {
+                    if (isFailed) {
+                        return;
+                    }
+
+                    if (typeof partial === 'string') {
+                        walk(partial);
+                    }
+
+                    onLoad();
+                }, error => {
+                    // Block partials have fallback content.
+                    if (optional && error && error.status === 404) {
+                        onLoad();
+
+                        return;
+                    }
+
+                    onError(error);
+                }, options);
+            }
+        };
+
+        walk(template);
+
+        onLoad();
+    }
+
+    /**
+     * @private
+     * @param {string} name
+     * @return {string|Function|undefined}
+     */
+    _getRegisteredPartial(name) {
+        if (name in this._handlebars.partials) {
+            return this._handlebars.partials[name];
+        }
+
+        if (typeof Handlebars !== 'undefined' && name in Handlebars.partials) {
+            return Handlebars.partials[name];
+        }
+
+        return undefined;
+    }
+
+    /**
+     * @private
+     */
+    _registerInheritanceHelpers() {
+        const handlebars = this._handlebars;
+        const templator = this;
+
+        const helpers = {
+            /**
+             * Renders a parent template with blocks overridden by contents.
+             */
+            extend: function (name, options) {
+                const contents = {};
+                const contentsData = handlebars.createFrame(options.data || {});
+
+                contentsData.contents = contents;
+
+                options.fn(this, {data: contentsData});
+
+                // Contents of descendants are applied after own ones.
+                const outer = (options.data && options.data.blocks) || {};
+                const blocks = {...contents};
+
+                for (const key in outer) {
+                    blocks[key] = [...(blocks[key] || []), ...outer[key]];
+                }
+
+                const data = handlebars.createFrame(options.data || {});
+
+                data.blocks = blocks;
+
+                return templator._getParentTemplate(name)(this, {data: data, allowProtoPropertiesByDefault: true});
+            },
+
+            /**
+             * Defines a block with default content. Can be overridden in templates extending the one.
+             */
+            block: function (name, options) {
+                const contents = (options.data && options.data.blocks && options.data.blocks[name]) || [];
+
+                return contents.reduce((html, content) => {
+                    const contentHtml = content.fn(content.context, {data: content.data});
+
+                    if (content.mode === 'append') {
+                        return html + contentHtml;
+                    }
+
+                    if (content.mode === 'prepend') {
+                        return contentHtml + html;
+                    }
+
+                    return contentHtml;
+                }, options.fn(this));
+            },
+
+            /**
+             * Overrides a block of a parent template. Used within `extend`.
+             */
+            content: function (name, options) {
+                const contents = options.data && options.data.contents;
+
+                if (!contents) {
+                    return '';
+                }
+
+                contents[name] = contents[name] || [];
+
+                contents[name].push({
+                    mode: options.hash.mode || 'replace',
+                    fn: options.fn,
+                    context: this,
+                    data: options.data,
+                });
+
+                return '';
+            },
+        };
+
+        for (const name in helpers) {
+            if (!(name in handlebars.helpers)) {
+                handlebars.registerHelper(name, helpers[name]);
+            }
+        }
+
+        this._hasInheritance = handlebars.helpers.extend === helpers.extend;
+    }
+
+    /**
+     * @private
+     * @param {string} name
+     * @return {Function}
+     */
+    _getParentTemplate(name) {
+        let source = this._handlebars.partials[name];
+
+        if (source === undefined && typeof Handlebars !== 'undefined') {
+            source = Handlebars.partials[name];
+        }
+
+        if (source === undefined) {
+            throw new Error(`Template "${name}" to extend is not found.`);
+        }
+
+        if (typeof source === 'function') {
+            return source;
+        }
+
+        const cached = this._parentTemplates[name];
+
+        if (cached && cached.source === source) {
+            return cached.template;
+        }
+
+        const template = this.compileTemplate(source);
+
+        this._parentTemplates[name] = {source: source, template: template};
+
+        return template;
+    }
+
+    /**
+     * Partials used in a template. Parsed ones are cached by source. Inline partials declared
+     * in the template with `{{#*inline "name"}}` are not included.
+     *
+     * @private
+     * @param {string} template
+     * @return {{name: string, optional: boolean}[]}
+     */
+    _getPartialReferences(template) {
+        const cached = this._partialReferences.get(template);
+
+        if (cached) {
+            return cached;
+        }
+
+        let ast;
+
+        try {
+            ast = this._handlebars.parse(template);
+        }
+        catch (e) {
+            // Reported on compiling.
+            return [];
+        }
+
+        const items = [];
+        const inlineNames = [];
+
+        const walk = node => {
+            if (!node || typeof node !== 'object') {
+                return;
+            }
+
+            if (Array.isArray(node)) {
+                node.forEach(walk);
+
+                return;
+            }
+
+            let name = null;
+
+            if (
+                (node.type === 'PartialStatement' || node.type === 'PartialBlockStatement') &&
+                node.name && (node.name.type === 'PathExpression' || node.name.type === 'StringLiteral')
+            ) {
+                name = node.name.type === 'StringLiteral' ? node.name.value : node.name.original;
+            }
+
+            if (
+                node.type === 'DecoratorBlock' &&
+                node.path.original === 'inline' &&
+                node.params.length &&
+                node.params[0].type === 'StringLiteral'
+            ) {
+                inlineNames.push(node.params[0].value);
+            }
+
+            // A parent template of `{{#extend "name"}}`.
+            if (
+                this._hasInheritance &&
+                node.type === 'BlockStatement' &&
+                node.path.original === 'extend' &&
+                node.params.length &&
+                node.params[0].type === 'StringLiteral'
+            ) {
+                name = node.params[0].value;
+            }
+
+            if (name !== null) {
+                const optional = node.type === 'PartialBlockStatement';
+                const item = items.find(item => item.name === name);
+
+                if (item) {
+                    item.optional = item.optional && optional;
+                } else if (!name.startsWith('@')) {
+                    items.push({name: name, optional: optional});
+                }
+            }
+
+            for (const key in node) {
+                if (key !== 'loc') {
+                    walk(node[key]);
+                }
+            }
+        };
+
+        walk(ast);
+
+        const references = items.filter(item => !inlineNames.includes(item.name));
+
+        this._partialReferences.set(template, references);
+
+        if (this._partialReferences.size > this.compileCacheLimit) {
+            this._partialReferences.delete(this._partialReferences.keys().next().value);
+        }
+
+        return references;
+    }
+
+    /**
+     * Runs a load only once for parallel requests of the same key. All callers are resolved from its result.
+     * A caller whose signal is aborted stops waiting. The load is aborted once all callers stopped waiting.
+     *
+     * @private
+     * @param {Object.<string, TemplatorPendingLoad>} pending
+     * @param {string} key
+     * @param {function(function(*), function(Error), import('./bull.loader.js').LoaderLoadOptions)} load
+     * @param {function(*)} callback
+     * @param {function(Error)} [errorCallback]
+     * @param {import('./bull.loader.js').LoaderLoadOptions} [options]
+     */
+    _loadOnce(pending, key, load, callback, errorCallback, options = {}) {
+        const signal = options.signal || null;
+
+        if (signal && signal.aborted) {
+            if (errorCallback) {
+                errorCallback(signal.reason);
+            }
+
+            return;
+        }
+
+        const isNew = !(key in pending);
+
+        if (isNew) {
+            pending[key] = {waiters: [], controller: new AbortController()};
+        }
+
+        const entry = pending[key];
+
+        const waiter = {
+            callback: callback,
+            errorCallback: errorCallback,
+            signal: signal,
+            onAbort: () => {
+                entry.waiters.splice(entry.waiters.indexOf(waiter), 1);
+
+                if (!entry.waiters.length) {
+                    if (pending[key] === entry) {
+                        delete pending[key];
+                    }
+
+                    entry.controller.abort(signal.reason);
+                }
+
+                if (errorCallback) {
+                    errorCallback(signal.reason);
+                }
+            },
+        };
+
+        entry.waiters.push(waiter);
+
+        if (signal) {
+            signal.addEventListener('abort', waiter.onAbort);
+        }
+
+        if (!isNew) {
+            return;
+        }
+
+        const settle = () => {
+            if (pending[key] === entry) {
+                delete pending[key];
+            }
+
+            const waiters = entry.waiters;
+
+            entry.waiters = [];
+
+            waiters.forEach(it => {
+                if (it.signal) {
+                    it.signal.removeEventListener('abort', it.onAbort);
+                }
+            });
+
+            return waiters;
+        };
+
+        const loadOptions = {
+            signal: entry.controller.signal,
+            priority: options.priority,
+        };
+
+        load(result => {
+            settle().forEach(it => it.callback(result));
+        }, error => {
+            let isHandled = true;
+
+            settle().forEach(it => {
+                if (!it.errorCallback) {
+                    isHandled = false;
+
+                    return;
+                }
+
+                it.errorCallback(error);
+            });
+
+            if (!isHandled) {
+                throw error;
+            }
+        }, loadOptions);
     }
 }
 
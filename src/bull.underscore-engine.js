@@ -0,0 +1,79 @@
+
+import _ from 'underscore';
+
+/**
+ * A template engine adapter for underscore templates.
+ *
+ * @alias Bull.UnderscoreEngine
+ */
+class UnderscoreEngine {
+
+    /**
+     * @param {{
+     *     settings?: Object,
+     * }} [options] Options.
+     * <ul>
+     *  <li>settings: {Object} Template settings. See `_.templateSettings`.</li>
+     * </ul>
+     */
+    constructor(options = {}) {
+        this._settings = options.settings || null;
+    }
+
+    /**
+     * @type {Object|null}
+     * @private
+     */
+    _settings = null
+
+    /**
+     * Compile a template.
+     *
+     * @param {string} source A source.
+     * @return {function(Object): string}
+     */
+    compile(source) {
+        return this._settings ?
+            _.template(source, this._settings) :
+            _.template(source);
+    }
+
+    /**
+     * Render a compiled template.
+     *
+     * @param {function(Object): string} template A compiled template.
+     * @param {Object} data Data.
+     * @return {string}
+     */
+    render(template, data) {
+        return template(data);
+    }
+
+    /**
+     * Precompile a template into JavaScript code. Evaluates to a string with the code of a render function,
+     * as the code uses `with`, not allowed in strict mode.
+     *
+     * @param {string} source A source.
+     * @return {string}
+     */
+    precompile(source) {
+        return JSON.stringify(this.compile(source).source);
+    }
+
+    /**
+     * Create a compiled template from a precompiled spec.
+     *
+     * @param {string|function(Object): string} spec The code of a render function or a function.
+     * @return {function(Object): string}
+     */
+    template(spec) {
+        if (typeof spec === 'function') {
+            return spec;
+        }
+
+        // Not parsing a template, only evaluating the code in non-strict mode.
+        return new Function('_', 'return ' + spec)(_);
+    }
+}
+
+export default UnderscoreEngine;
@@ -67,7 +67,7 @@ import {patch} from './util.js';
  */
 
 /**
- * @typedef {'after:render'|'remove'} ViewEvents
+ * @typedef {'after:render'|'remove'|'error'} ViewEvents
  */
 
 /**
@@ -327,6 +327,15 @@ class View {
      */
     notToRender = false
 
+    /**
+     * A priority of loading templates of the view. When the number of concurrent requests is limited,
+     * resources of views with a higher priority are loaded first.
+     *
+     * @type {number}
+     * @protected
+     */
+    loadPriority = 0
+
     /**
      * @type {VNode|undefined}
      * @private
@@ -458,6 +467,13 @@ class View {
     _isRenderCanceled = false
     /** @private */
     _preCompiledTemplates = null
+    /**
+     * Aborts loads on removal.
+     *
+     * @type {AbortController|null}
+     * @private
+     */
+    _loadController = null
 
     /**
      * Set a DOM element selector.
@@ -1015,7 +1031,16 @@ class View {
         this._isRendered = false;
         this._isFullyRendered = false;
 
-        return new Promise(resolve => {
+        return new Promise((resolve, reject) => {
+            const onError = error => {
+                this._isRenderCanceled = false;
+                this._isBeingRendered = false;
+
+                this.trigger('error', error);
+
+                reject(error);
+            };
+
             this._getPreparedElement(element => {
                 if (this._isRenderCanceled) {
                     this._isRenderCanceled = false;
@@ -1054,7 +1079,7 @@ class View {
                 }
 
                 resolve(this);
-            });
+            }, onError);
         });
     }
 
@@ -1519,6 +1544,12 @@ class View {
 
                 this.setView(key, view);
 
+                loaded++;
+                tryReady();
+            }, error => {
+                // The view is skipped, not to block the parent from getting ready.
+                this.trigger('error', error);
+
                 loaded++;
                 tryReady();
             });
@@ -1584,13 +1615,15 @@ class View {
     /**
      * @private
      * @param {function(Object.<string, Bull~nestedItem>)} callback
+     * @param {function(Error)} [errorCallback]
      */
-    _getNestedViewsMap(callback) {
+    _getNestedViewsMap(callback, errorCallback) {
         const data = {};
         const items = this._getNestedViewsAsArray();
 
         let loaded = 0;
         let count = items.length;
+        let isFailed = false;
 
         const tryReady = () => {
             if (loaded === count) {
@@ -1640,6 +1673,19 @@ class View {
 
                 loaded++;
                 tryReady();
+            }, error => {
+                view._isBeingRendered = false;
+                view.trigger('error', error);
+
+                if (isFailed) {
+                    return;
+                }
+
+                isFailed = true;
+
+                if (errorCallback) {
+                    errorCallback(error);
+                }
             });
         });
     }
@@ -1663,9 +1709,10 @@ class View {
     /**
      * @public
      * @param {ViewGetPreparedElementCallback} callback.
+     * @param {function(Error)} [errorCallback] Invoked if a template or a nested view could not be prepared.
      * @internal
      */
-    _getPreparedElement(callback) {
+    _getPreparedElement(callback, errorCallback) {
         this._isBeingRendered = true;
         this.trigger('render', this);
 
@@ -1738,12 +1785,12 @@ class View {
                     root.content.appendChild(templateContent.childNodes[0]);
 
                     callback(root);
-                });
-            });
+                }, errorCallback);
+            }, errorCallback);
         };
 
         if (preparePromise) {
-            preparePromise.then(() => proceed());
+            preparePromise.then(() => proceed(), errorCallback);
 
             return;
         }
@@ -1850,8 +1897,9 @@ class View {
     /**
      * @private
      * @param {function(*)} callback
+     * @param {function(Error)} [errorCallback]
      */
-    _getTemplate(callback) {
+    _getTemplate(callback, errorCallback) {
         if (
             this._templator &&
             this._templator.compilable &&
@@ -1890,7 +1938,51 @@ class View {
             };
         }
 
-        this._templator.getTemplate(templateName, layoutOptions, callback);
+        if (!this._loadController) {
+            this._loadController = new AbortController();
+        }
+
+        const options = {
+            signal: this._loadController.signal,
+            priority: this.loadPriority,
+        };
+
+        this._templator.getTemplate(templateName, layoutOptions, callback, error => {
+            if (this._isRemoved) {
+                // Loading was aborted on removal.
+                return;
+            }
+
+            if (!errorCallback) {
+                throw error;
+            }
+
+            errorCallback(error);
+        }, options);
+    }
+
+    /**
+     * Raise a priority of templates being loaded for the view and its nested views.
+     * E.g. when the view is scrolled into the viewport.
+     *
+     * @param {number} priority A priority.
+     */
+    prioritizeLoading(priority) {
+        this.loadPriority = priority;
+
+        const templateName = this._getTemplateName();
+        // A custom templator may not support priorities.
+        const canPrioritize = !!this._templator && typeof this._templator.prioritize === 'function';
+
+        if (canPrioritize && templateName) {
+            this._templator.prioritize('template', templateName, priority);
+        } else if (canPrioritize && this._layoutDefs) {
+            this._templator.prioritize('layoutTemplate', this._layoutDefs.type || 'default', priority);
+        }
+
+        for (const key in this.nestedViews) {
+            this.nestedViews[key].prioritizeLoading(priority);
+        }
     }
 
     /** @private */
@@ -2028,7 +2120,7 @@ class View {
      * @param {ViewOptions} options View options. Custom options can be passed as well.
      * @param {Function} [callback] Deprecated. Use a promise. Invoked once a nested view is ready (loaded).
      * @param {boolean} [wait=true] Set false if no need a parent view to wait till nested view loaded.
-     * @return {Promise<T>}
+     * @return {Promise<T>} Rejected if the view could not be created. The `error` event is triggered as well.
      * @template {View} [T=View]
      */
     createView(key, viewName, options, callback, wait) {
@@ -2038,7 +2130,7 @@ class View {
 
         let promise = null;
 
-        promise = this._viewPromiseHash[key] = new Promise(resolve => {
+        promise = this._viewPromiseHash[key] = new Promise((resolve, reject) => {
             wait = (typeof wait === 'undefined') ? true : wait;
 
             if (wait) {
@@ -2069,12 +2161,37 @@ class View {
                     callback,
                     options.setViewBeforeCallback
                 );
-            });
+            }, error => this._createViewErrorCallback(key, error, reject, promise));
         });
 
         return promise;
     }
 
+    /**
+     * @param {string} key
+     * @param {Error} error
+     * @param {function} reject
+     * @param {Promise} promise
+     * @private
+     */
+    _createViewErrorCallback(key, error, reject, promise) {
+        // noinspection JSUnresolvedReference
+        if (promise && promise._isToCancel) {
+            return;
+        }
+
+        delete this._viewPromiseHash[key];
+
+        // Stop waiting for the view not to leave the parent not ready forever.
+        this._waitViewList = this._waitViewList.filter(it => it !== key);
+
+        this.trigger('error', error);
+
+        reject(error);
+
+        this._tryReady();
+    }
+
     /**
      * @param {string} key
      * @param {View} view
@@ -2336,6 +2453,11 @@ class View {
         this._isRemoved = true;
         this._vNode = undefined;
 
+        if (this._loadController) {
+            this._loadController.abort();
+            this._loadController = null;
+        }
+
         this.element = undefined;
         this.$el = $();
         // noinspection JSDeprecatedSymbols
@@ -2,7 +2,13 @@
 import Events from './bull.events.js';
 import View from './bull.view.js';
 import Factory from './bull.factory.js';
+import ResourceCache from './bull.resource-cache.js';
+import MemoryProvider from './bull.memory-provider.js';
+import FsProvider from './bull.fs-provider.js';
+import LayoutValidator from './bull.layout-validator.js';
+import HandlebarsEngine from './bull.handlebars-engine.js';
+import UnderscoreEngine from './bull.underscore-engine.js';
 import {h, fragment, toVNode} from 'snabbdom';
 
 export {VNode, VNodeData, patch} from './module-util';
-export {View, Events, Factory, h, fragment, toVNode};
+export {View, Events, Factory, ResourceCache, MemoryProvider, FsProvider, LayoutValidator, HandlebarsEngine, UnderscoreEngine, h, fragment, toVNode};
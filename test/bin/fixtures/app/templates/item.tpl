@@ -0,0 +1 @@
+<b>{{name}}</b>
\ No newline at end of file
@@ -0,0 +1 @@
+<% _.each(layout, function (defs) { %><section>{{{<%= defs.name %>}}}</section><% }); %>
\ No newline at end of file
@@ -0,0 +1 @@
+<div>{{#block "body"}}parent{{/block}}</div>
\ No newline at end of file
@@ -0,0 +1 @@
+{{#extend "record/base"}}{{#content "body" mode="append"}} child{{/content}}{{/extend}}
\ No newline at end of file
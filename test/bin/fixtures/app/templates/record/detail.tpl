@@ -0,0 +1 @@
+<div>{{upper name}}</div>{{> item}}
\ No newline at end of file
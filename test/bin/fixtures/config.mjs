@@ -0,0 +1,6 @@
+
+export default {
+    engines: {
+        underscore: {prefix: 'legacy/'},
+    },
+};
@@ -0,0 +1,33 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {dirname, join, relative} from 'node:path';
+import {fileURLToPath} from 'node:url';
+import Factory from '../../dist/node/bull.factory.mjs';
+import FsProvider from '../../dist/node/bull.fs-provider.mjs';
+
+const dir = dirname(fileURLToPath(import.meta.url));
+const root = join(dir, 'fixtures', 'app');
+
+test('loads resources from the file system with a factory', async () => {
+	const factory = new Factory({
+		resources: {
+			provider: new FsProvider({root: relative(process.cwd(), root)}),
+		},
+	});
+
+	await factory.preload({templates: ['item'], layoutTemplates: ['default']});
+
+	assert.equal(await factory._loader.loadAsync('template', 'item'), '<b>{{name}}</b>');
+	assert.deepEqual(await factory._loader.loadAsync('layout', 'detail'), {
+		type: 'default',
+		layout: [{name: 'header'}, {name: 'body'}],
+	});
+
+	await assert.rejects(factory._loader.loadAsync('template', 'missing'), error => error.status === 404);
+});
+
+test('resolves paths with the path API', () => {
+	const provider = new FsProvider({root: root, path: {resolve: (...paths) => paths.join('|')}});
+
+	assert.equal(provider.resolvePath('templates/item.tpl?v=1'), root + '|templates/item.tpl');
+});
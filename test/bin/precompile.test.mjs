@@ -0,0 +1,91 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {execFileSync} from 'node:child_process';
+import {mkdtempSync, rmSync} from 'node:fs';
+import {tmpdir} from 'node:os';
+import {dirname, join} from 'node:path';
+import {fileURLToPath, pathToFileURL} from 'node:url';
+import Handlebars from 'handlebars';
+import Templator from '../../dist/node/bull.templator.mjs';
+
+const dir = dirname(fileURLToPath(import.meta.url));
+const bin = join(dir, '../../bin/bullbone-precompile.mjs');
+const fixtures = join(dir, 'fixtures');
+
+const precompile = async () => {
+	const outDir = mkdtempSync(join(tmpdir(), 'bullbone-precompile-'));
+	const out = join(outDir, 'templates.mjs');
+
+	try {
+		execFileSync(process.execPath, [bin, join(fixtures, 'app'), '-c', join(fixtures, 'config.mjs'), '-o', out], {
+			stdio: 'pipe',
+		});
+
+		return await import(pathToFileURL(out).href);
+	} finally {
+		rmSync(outDir, {recursive: true, force: true});
+	}
+};
+
+// Same as in the config passed to the command.
+const createTemplator = () => new Templator({
+	helpers: {upper: value => value.toUpperCase()},
+	engines: {underscore: {prefix: 'legacy/'}},
+});
+
+const getTemplate = (templator, name, layoutOptions) => {
+	return new Promise((resolve, reject) => templator.getTemplate(name, layoutOptions, resolve, reject));
+};
+
+test('precompiles templates bound to the templator environment', async () => {
+	const precompiled = await precompile();
+
+	assert.deepEqual(Object.keys(precompiled.templates), [
+		'item',
+		'legacy/row',
+		'record/base',
+		'record/child',
+		'record/detail',
+	]);
+
+	const templator = createTemplator();
+	const partials = {...Handlebars.partials};
+
+	templator.compileTemplate = () => assert.fail('Should not compile.');
+
+	precompiled.setup(templator);
+
+	assert.deepEqual(Handlebars.partials, partials);
+
+	const detail = await getTemplate(templator, 'record/detail');
+	const child = await getTemplate(templator, 'record/child');
+	const row = await getTemplate(templator, 'legacy/row');
+
+	assert.equal(detail({name: 'test'}), '<div>TEST</div><b>test</b>');
+	assert.equal(child({}), '<div>parent child</div>');
+	assert.equal(row({name: '<a>'}), '&lt;a&gt;');
+});
+
+test('expands known layouts', async () => {
+	const precompiled = await precompile();
+
+	const templator = createTemplator();
+
+	templator.compileTemplate = () => assert.fail('Should not compile.');
+
+	precompiled.setup(templator);
+
+	const layout = {type: 'default', layout: [{name: 'header'}, {name: 'body'}]};
+	const template = await getTemplate(templator, undefined, {layout: layout, data: null});
+
+	assert.equal(template({header: 'H', body: 'B'}), '<section>H</section><section>B</section>');
+});
+
+test('fails on a missing layout template', () => {
+	assert.throws(
+		() => execFileSync(process.execPath, [bin, join(fixtures, 'app'), '--layout-templates', 'missing', '--templates', 'missing'], {
+			stdio: 'pipe',
+		}),
+		error => error.status === 1 && String(error.stderr).includes('Could not load layout template "default"')
+	);
+});
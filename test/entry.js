@@ -1,6 +1,9 @@
 import './spec/factory.test.js';
+import './spec/fs-provider.test.js';
 import './spec/layouter.test.js';
 import './spec/loader.test.js';
+import './spec/memory-provider.test.js';
 import './spec/renderer.test.js';
+import './spec/resource-cache.test.js';
 import './spec/templator.test.js';
 import './spec/view.test.js';
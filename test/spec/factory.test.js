@@ -1,5 +1,6 @@
 
 import Factory from '../../src/bull.factory.js';
+import MemoryProvider from '../../src/bull.memory-provider.js';
 
 describe("Factory", function () {
 	let factory;
@@ -43,4 +44,112 @@ describe("Factory", function () {
 		factory.create('viewTest', {}, function () {});		
 		expect(viewLoader.load).toHaveBeenCalled();		
 	});
+
+	it ('should call error callback if view class could not be loaded', () => {
+		const error = new Error('Not found.');
+
+		factory = new Factory({
+			customLoader: {},
+			customLayouter: layouter,
+			customTemplator: templator,
+			customRenderer: renderer,
+			viewLoader: (viewName, callback, errorCallback) => errorCallback(error),
+		});
+
+		const callback = jasmine.createSpy('callback');
+		const errorCallback = jasmine.createSpy('errorCallback');
+
+		factory.create('viewTest', {}, callback, errorCallback);
+
+		expect(callback).not.toHaveBeenCalled();
+		expect(errorCallback).toHaveBeenCalledWith(error);
+	});
+
+	it ('should preload templates, layout templates and view classes', () => {
+		const viewClass = class {
+			_initialize() {}
+		};
+
+		const customTemplator = {
+			preloadTemplate: () => Promise.resolve(),
+			preloadLayoutTemplate: () => Promise.resolve(),
+		};
+
+		spyOn(customTemplator, 'preloadTemplate').and.callThrough();
+		spyOn(customTemplator, 'preloadLayoutTemplate').and.callThrough();
+
+		const viewLoader = jasmine.createSpy('viewLoader').and.callFake((viewName, callback) => callback(viewClass));
+
+		factory = new Factory({
+			customLoader: {},
+			customLayouter: layouter,
+			customTemplator: customTemplator,
+			customRenderer: renderer,
+			viewLoader: viewLoader,
+		});
+
+		return factory
+			.preload({
+				templates: ['record/detail'],
+				layoutTemplates: ['default'],
+				views: ['viewTest'],
+			})
+			.then(() => {
+				expect(customTemplator.preloadTemplate).toHaveBeenCalledWith('record/detail');
+				expect(customTemplator.preloadLayoutTemplate).toHaveBeenCalledWith('default');
+
+				factory.create('viewTest', {}, () => {});
+
+				expect(viewLoader.calls.count()).toBe(1);
+			});
+	});
+
+	it ('should resolve namespaced view names', () => {
+		const viewClass = class {
+			_initialize() {}
+		};
+
+		const loader = {registerNamespace: () => {}};
+
+		spyOn(loader, 'registerNamespace');
+
+		const viewLoader = jasmine.createSpy('viewLoader').and.callFake((viewName, callback) => callback(viewClass));
+		const salesViewLoader = jasmine.createSpy('salesViewLoader').and.callFake((viewName, callback) => callback(viewClass));
+
+		factory = new Factory({
+			customLoader: loader,
+			customLayouter: layouter,
+			customTemplator: templator,
+			customRenderer: renderer,
+			viewLoader: viewLoader,
+			namespaces: {
+				crm: {path: 'client/modules/crm', view: 'modules/crm/'},
+				sales: {view: salesViewLoader},
+			},
+		});
+
+		factory.create('crm:record/detail', {}, () => {});
+		factory.create('sales:record/list', {}, () => {});
+		factory.create('other:record/list', {}, () => {});
+
+		expect(loader.registerNamespace).toHaveBeenCalledOnceWith('crm', 'client/modules/crm');
+		expect(viewLoader.calls.allArgs().map(args => args[0])).toEqual(['modules/crm/record/detail', 'other:record/list']);
+		expect(salesViewLoader.calls.first().args[0]).toBe('record/list');
+	});
+
+	it ('should validate loaded layouts reporting the layout name', () => {
+		factory = new Factory({
+			validateLayouts: true,
+			resources: {
+				provider: new MemoryProvider({
+					resources: {layout: {'record/detail': {type: 'default', layout: [{view: 'Header'}]}}},
+				}),
+			},
+		});
+
+		return factory._loader.loadAsync('layout', 'record/detail').then(
+			() => fail('Should not load an invalid layout.'),
+			error => expect(error.message).toBe('Invalid layout "record/detail": $.layout[0].name: is required.')
+		);
+	});
 });
@@ -0,0 +1,71 @@
+
+import FsProvider from '../../src/bull.fs-provider.js';
+import Loader from '../../src/bull.loader.js';
+
+describe('FsProvider', () => {
+	let fs;
+	let files;
+
+	beforeEach(() => {
+		files = {
+			'/app/client/templates/test.tpl': 'test',
+			'/app/client/layouts/detail.json': '{"type": "default"}',
+		};
+
+		fs = {
+			readFile: (path) => {
+				if (path in files) {
+					return Promise.resolve(files[path]);
+				}
+
+				const error = new Error('No such file.');
+
+				error.code = 'ENOENT';
+
+				return Promise.reject(error);
+			},
+		};
+
+		spyOn(fs, 'readFile').and.callThrough();
+	});
+
+	it('should resolve file paths against the root', () => {
+		const loader = new Loader({provider: new FsProvider({root: '/app/client/', fs: fs})});
+
+		return Promise.all([
+			loader.loadAsync('template', 'test'),
+			loader.loadAsync('layout', 'detail'),
+		]).then(result => {
+			expect(result).toEqual(['test', {type: 'default'}]);
+			expect(fs.readFile.calls.argsFor(0)[0]).toBe('/app/client/templates/test.tpl');
+			expect(fs.readFile.calls.argsFor(0)[1].encoding).toBe('utf8');
+		});
+	});
+
+	it('should use a custom path function', () => {
+		const loader = new Loader({
+			provider: new FsProvider({root: '/app', fs: fs}),
+			path: (type, name) => 'client/templates/' + name + '.tpl?v=1',
+		});
+
+		return loader.loadAsync('template', 'test').then(template => expect(template).toBe('test'));
+	});
+
+	it('should keep absolute paths', () => {
+		const provider = new FsProvider({root: '/app', fs: fs});
+
+		expect(provider.resolvePath('/lib/test.tpl')).toBe('/lib/test.tpl');
+		expect(provider.resolvePath('C:\\lib\\test.tpl')).toBe('C:\\lib\\test.tpl');
+		expect(provider.resolvePath('C:/lib/test.tpl')).toBe('C:/lib/test.tpl');
+		expect(provider.resolvePath('lib/test.tpl')).toBe('/app/lib/test.tpl');
+	});
+
+	it('should reject with 404 for missing files', () => {
+		const loader = new Loader({provider: new FsProvider({root: '/app/client', fs: fs})});
+
+		return loader.loadAsync('template', 'missing').then(
+			() => fail('Should be rejected.'),
+			error => expect(error.status).toBe(404)
+		);
+	});
+});
@@ -154,4 +154,76 @@ describe("Layouter", () => {
 			},
 		]);
 	});
+
+	it ('should not validate layouts by default', () => {
+		expect(() => layouter.findNestedViews({layout: [{view: 1}]})).not.toThrow();
+	});
+
+	it ('should throw listing JSON paths of problems if validation enabled', () => {
+		layouter = new Layouter({validate: true});
+
+		const layoutDefs = {
+			name: 'detail',
+			type: 'default',
+			layout: {
+				panels: [
+					{
+						name: 'graph',
+						view: 'Graph',
+					},
+					{
+						view: 10,
+						unknown: true,
+					},
+				],
+			},
+		};
+
+		expect(() => layouter.findNestedViews(layoutDefs)).toThrowError(
+			'Invalid layout "detail": ' +
+			'$.layout.panels[1].name: is required; ' +
+			'$.layout.panels[1].view: should be string|boolean, got number; ' +
+			'$.layout.panels[1].unknown: is not allowed.'
+		);
+	});
+
+	it ('should validate the same layout definitions once', () => {
+		const validator = {assertValid: () => {}};
+
+		spyOn(validator, 'assertValid');
+
+		layouter = new Layouter({validator: validator});
+
+		const layoutDefs = {type: 'default', layout: [{name: 'header', view: 'Header'}]};
+
+		layouter.findNestedViews(layoutDefs, 'detail');
+		layouter.findNestedViews(layoutDefs);
+
+		expect(validator.assertValid).toHaveBeenCalledOnceWith(layoutDefs, 'detail');
+	});
+
+	it ('should not name a layout by its type in validation errors', () => {
+		layouter = new Layouter({validate: true});
+
+		expect(() => layouter.findNestedViews({type: 'default', layout: 1})).toThrowError(
+			'Invalid layout: $.layout: should be array|object, got number.'
+		);
+	});
+
+	it ('should pass valid layouts if validation enabled', () => {
+		layouter = new Layouter({validate: true});
+
+		const nestedViewList = layouter.findNestedViews({
+			type: 'default',
+			layout: [
+				{
+					name: 'header',
+					tag: 'header',
+					layout: 'header',
+				},
+			],
+		});
+
+		expect(nestedViewList).toEqual([{name: 'header', layout: 'header'}]);
+	});
 });
@@ -21,4 +21,837 @@ describe("Loader", () => {
 
 		expect(layoutManager.load.calls.first().args[0]).toBe('account.detail');
 	});
+
+	describe('loadAsync', () => {
+		const respond = (body, status) => Promise.resolve(new Response(body, {status: status || 200}));
+
+		it('should resolve with a parsed layout', () => {
+			spyOn(window, 'fetch').and.returnValue(respond('{"type": "default"}'));
+
+			loader = new Loader();
+
+			return loader.loadAsync('layout', 'test').then(layout => {
+				expect(layout).toEqual({type: 'default'});
+				expect(window.fetch.calls.first().args[0]).toMatch(/^layouts\/test\.json\?_=/);
+			});
+		});
+
+		it('should reject on not found without retrying', () => {
+			spyOn(window, 'fetch').and.callFake(() => respond('', 404));
+
+			loader = new Loader({retry: {attempts: 2, delay: 0}});
+
+			return loader.loadAsync('template', 'test').then(
+				() => fail('Should be rejected.'),
+				error => {
+					expect(error.status).toBe(404);
+					expect(window.fetch.calls.count()).toBe(1);
+				}
+			);
+		});
+
+		it('should retry on server errors', () => {
+			let count = 0;
+
+			spyOn(window, 'fetch').and.callFake(() => {
+				count++;
+
+				return count < 3 ? respond('', 503) : respond('test');
+			});
+
+			loader = new Loader({retry: {attempts: 2, delay: 0}});
+
+			return loader.loadAsync('template', 'test').then(template => {
+				expect(template).toBe('test');
+				expect(window.fetch.calls.count()).toBe(3);
+			});
+		});
+
+		it('should reject on timeout', () => {
+			spyOn(window, 'fetch').and.callFake((url, init) => {
+				return new Promise((resolve, reject) => {
+					init.signal.addEventListener('abort', () => reject(init.signal.reason));
+				});
+			});
+
+			loader = new Loader({timeout: {template: 5}});
+
+			return loader.loadAsync('template', 'test').then(
+				() => fail('Should be rejected.'),
+				error => expect(error.name).toBe('TimeoutError')
+			);
+		});
+
+		it('should reject when aborted', () => {
+			spyOn(window, 'fetch').and.callFake((url, init) => {
+				return new Promise((resolve, reject) => {
+					init.signal.addEventListener('abort', () => reject(init.signal.reason));
+				});
+			});
+
+			loader = new Loader();
+
+			const controller = new AbortController();
+			const promise = loader.loadAsync('template', 'test', {signal: controller.signal});
+
+			controller.abort();
+
+			return promise.then(
+				() => fail('Should be rejected.'),
+				error => expect(error.name).toBe('AbortError')
+			);
+		});
+	});
+
+	describe('cache busting', () => {
+		beforeEach(() => {
+			spyOn(window, 'fetch').and.callFake(() => Promise.resolve(new Response('test')));
+		});
+
+		it('should not modify URLs if disabled', () => {
+			loader = new Loader({cacheBusting: 'none'});
+
+			return loader.loadAsync('template', 'test').then(() => {
+				expect(window.fetch.calls.first().args[0]).toBe('templates/test.tpl');
+			});
+		});
+
+		it('should append a version', () => {
+			loader = new Loader({cacheBusting: {version: '1.2.3'}});
+
+			return loader.loadAsync('template', 'test').then(() => {
+				expect(window.fetch.calls.first().args[0]).toBe('templates/test.tpl?_=1.2.3');
+			});
+		});
+
+		it('should append a hash from a manifest and fall back to a version', () => {
+			loader = new Loader({
+				cacheBusting: {
+					version: '1.2.3',
+					manifest: {'templates/test.tpl': 'a1b2'},
+				},
+			});
+
+			return Promise.all([
+				loader.loadAsync('template', 'test'),
+				loader.loadAsync('template', 'other'),
+			]).then(() => {
+				expect(window.fetch.calls.argsFor(0)[0]).toBe('templates/test.tpl?_=a1b2');
+				expect(window.fetch.calls.argsFor(1)[0]).toBe('templates/other.tpl?_=1.2.3');
+			});
+		});
+	});
+
+	describe('coalescing', () => {
+		let resolveFetch;
+
+		beforeEach(() => {
+			const body = new Promise(resolve => resolveFetch = resolve);
+
+			spyOn(window, 'fetch').and.callFake((url, init) => {
+				return new Promise((resolve, reject) => {
+					body.then(body => resolve(new Response(body)));
+
+					init.signal.addEventListener('abort', () => reject(init.signal.reason));
+				});
+			});
+
+			loader = new Loader();
+		});
+
+		it('should send a single request for parallel loads of the same resource', () => {
+			const promise = Promise.all([
+				loader.loadAsync('template', 'test'),
+				loader.loadAsync('template', 'test'),
+			]);
+
+			resolveFetch('test');
+
+			return promise.then(result => {
+				expect(result).toEqual(['test', 'test']);
+				expect(window.fetch.calls.count()).toBe(1);
+			});
+		});
+
+		it('should not abort a shared request until all callers abort', () => {
+			const controller = new AbortController();
+
+			const promise1 = loader.loadAsync('template', 'test', {signal: controller.signal});
+			const promise2 = loader.loadAsync('template', 'test');
+
+			controller.abort();
+			resolveFetch('test');
+
+			return Promise.all([
+				promise1.then(() => fail('Should be rejected.'), error => error.name),
+				promise2,
+			]).then(result => {
+				expect(result).toEqual(['AbortError', 'test']);
+			});
+		});
+	});
+
+	describe('bundles', () => {
+		beforeEach(() => {
+			spyOn(window, 'fetch').and.callFake(url => {
+				if (url.startsWith('bundles/main.json')) {
+					return Promise.resolve(new Response(JSON.stringify({
+						'template/bundled': 'bundled',
+						'layout/detail': {type: 'default'},
+					})));
+				}
+
+				return Promise.resolve(new Response('single'));
+			});
+
+			loader = new Loader();
+		});
+
+		it('should serve bundled resources and load missing ones separately', () => {
+			return loader.loadBundle('bundles/main.json')
+				.then(() => Promise.all([
+					loader.loadAsync('template', 'bundled'),
+					loader.loadAsync('layout', 'detail'),
+					loader.loadAsync('template', 'missing'),
+				]))
+				.then(result => {
+					expect(result).toEqual(['bundled', {type: 'default'}, 'single']);
+					expect(window.fetch.calls.count()).toBe(2);
+				});
+		});
+
+		it('should serve a copy of a bundled layout for each load', () => {
+			return loader.loadBundle('bundles/main.json')
+				.then(() => loader.loadAsync('layout', 'detail'))
+				.then(layout => {
+					layout.some = 'changed';
+
+					return loader.loadAsync('layout', 'detail');
+				})
+				.then(layout => {
+					expect(layout).toEqual({type: 'default'});
+				});
+		});
+	});
+
+	describe('persistent cache', () => {
+		let cache;
+		let entries;
+
+		beforeEach(() => {
+			spyOn(window, 'fetch').and.callFake(() => Promise.resolve(new Response('network')));
+
+			entries = {};
+
+			cache = {
+				get: key => Promise.resolve(entries[key]),
+				set: (key, value) => {
+					entries[key] = value;
+
+					return Promise.resolve();
+				},
+			};
+		});
+
+		it('should serve a resource from the cache for the same version', () => {
+			entries['templates/test.tpl'] = {url: 'templates/test.tpl?_=1', content: 'cached'};
+
+			loader = new Loader({cache: cache, cacheBusting: {version: '1'}});
+
+			return loader.loadAsync('template', 'test').then(template => {
+				expect(template).toBe('cached');
+				expect(window.fetch).not.toHaveBeenCalled();
+			});
+		});
+
+		it('should load and store a resource if the version is changed', () => {
+			entries['templates/test.tpl'] = {url: 'templates/test.tpl?_=1', content: 'cached'};
+
+			loader = new Loader({cache: cache, cacheBusting: {version: '2'}});
+
+			return loader.loadAsync('template', 'test').then(template => {
+				expect(template).toBe('network');
+				expect(entries['templates/test.tpl']).toEqual({url: 'templates/test.tpl?_=2', content: 'network'});
+			});
+		});
+
+		it('should not use the cache if URLs are not versioned', () => {
+			entries['templates/test.tpl'] = {url: 'templates/test.tpl', content: 'cached'};
+
+			loader = new Loader({cache: cache, cacheBusting: 'none'});
+
+			return loader.loadAsync('template', 'test').then(template => {
+				expect(template).toBe('network');
+				expect(entries['templates/test.tpl'].content).toBe('cached');
+			});
+		});
+	});
+
+	describe('resource types', () => {
+		beforeEach(() => {
+			spyOn(window, 'fetch').and.callFake(() => Promise.resolve(new Response('a: 1\nb: 2')));
+		});
+
+		it('should load a registered type with a custom parser', () => {
+			loader = new Loader({cacheBusting: 'none'});
+
+			loader.registerParser('keyValue', content => {
+				const result = {};
+
+				content.split('\n').forEach(line => {
+					const [key, value] = line.split(': ');
+
+					result[key] = value;
+				});
+
+				return result;
+			});
+
+			loader.registerType('i18n', {
+				path: 'i18n/',
+				ext: 'txt',
+				parse: 'keyValue',
+				normalize: name => name.toLowerCase(),
+			});
+
+			return loader.loadAsync('i18n', 'En').then(data => {
+				expect(data).toEqual({a: '1', b: '2'});
+				expect(window.fetch.calls.first().args[0]).toBe('i18n/en.txt');
+			});
+		});
+
+		it('should override parameters of an existing type', () => {
+			loader = new Loader({paths: {template: 'custom'}});
+
+			loader.registerType('template', {ext: 'hbs'});
+
+			expect(loader.getFilePath('template', 'test')).toBe('custom/test.hbs');
+		});
+
+		it('should throw on an unknown type', () => {
+			loader = new Loader();
+
+			expect(() => loader.getFilePath('unknown', 'test')).toThrowError(TypeError);
+		});
+
+		it('should use names with alternative extensions as file names', () => {
+			loader = new Loader();
+
+			loader.registerType('template', {exts: ['html']});
+
+			expect(loader.getFilePath('template', 'record/detail.html')).toBe('templates/record/detail.html');
+			expect(loader.getFilePath('template', 'record/detail')).toBe('templates/record/detail.tpl');
+		});
+	});
+
+	describe('fallback paths', () => {
+		beforeEach(() => {
+			spyOn(window, 'fetch').and.callFake(url => {
+				if (url === 'client/templates/test.tpl' || url === 'custom/templates/custom.tpl') {
+					return Promise.resolve(new Response(url));
+				}
+
+				return Promise.resolve(new Response('', {status: 404}));
+			});
+
+			loader = new Loader({
+				cacheBusting: 'none',
+				paths: {template: ['custom/templates', 'client/templates']},
+			});
+		});
+
+		it('should fall through to next paths on not found', () => {
+			return Promise.all([
+				loader.loadAsync('template', 'test'),
+				loader.loadAsync('template', 'custom'),
+			]).then(result => {
+				expect(result).toEqual(['client/templates/test.tpl', 'custom/templates/custom.tpl']);
+				expect(window.fetch.calls.count()).toBe(3);
+			});
+		});
+
+		it('should remember the path a resource was found in', () => {
+			return loader.loadAsync('template', 'test').then(() => {
+				expect(loader.getFilePath('template', 'test')).toBe('client/templates/test.tpl');
+				expect(loader.getFilePath('template', 'other')).toBe('custom/templates/other.tpl');
+			});
+		});
+
+		it('should reject if not found in all paths', () => {
+			return loader.loadAsync('template', 'missing').then(
+				() => fail('Should be rejected.'),
+				error => {
+					expect(error.status).toBe(404);
+					expect(window.fetch.calls.count()).toBe(2);
+				}
+			);
+		});
+	});
+
+	describe('namespaces', () => {
+		beforeEach(() => {
+			loader = new Loader({
+				paths: {layout: ['custom/layouts', 'layouts']},
+				path: (type, name) => 'external/' + name,
+				namespaces: {
+					crm: 'client/modules/crm/',
+				},
+			});
+		});
+
+		it('should resolve namespaced names to base paths', () => {
+			expect(loader.getFilePath('template', 'crm:record/detail'))
+				.toBe('client/modules/crm/templates/record/detail.tpl');
+			expect(loader.getFilePath('layoutTemplate', 'crm:default'))
+				.toBe('client/modules/crm/templates/layouts/default.tpl');
+			expect(loader.getFilePathList('layout', 'crm:detail')).toEqual([
+				'client/modules/crm/custom/layouts/detail.json',
+				'client/modules/crm/layouts/detail.json',
+			]);
+		});
+
+		it('should resolve with a function', () => {
+			loader.registerNamespace('sales', (type, path) => 'modules/sales/' + type + '/' + path);
+
+			expect(loader.getFilePath('template', 'sales:list'))
+				.toBe('modules/sales/template/templates/list.tpl');
+		});
+
+		it('should not treat unknown prefixes as namespaces', () => {
+			expect(loader.getFilePath('template', 'other:list')).toBe('templates/other:list.tpl');
+		});
+
+		it('should load namespaced resources bypassing the path function', () => {
+			spyOn(window, 'fetch').and.callFake(url => Promise.resolve(new Response(url)));
+
+			loader.setCacheBusting('none');
+
+			return Promise.all([
+				loader.loadAsync('template', 'crm:record/detail'),
+				loader.loadAsync('template', 'record/detail'),
+			]).then(result => {
+				expect(result).toEqual(['client/modules/crm/templates/record/detail.tpl', 'external/record/detail']);
+			});
+		});
+	});
+
+	describe('modules', () => {
+		let importer;
+
+		beforeEach(() => {
+			spyOn(window, 'fetch');
+
+			importer = jasmine.createSpy('importer').and.callFake(request => {
+				if (request.type === 'layout') {
+					return Promise.resolve({default: {type: 'default', layout: []}});
+				}
+
+				return Promise.resolve({default: () => request.filePath});
+			});
+
+			loader = new Loader({
+				cacheBusting: {version: '1'},
+				types: {
+					template: {module: true, ext: 'js'},
+					layout: {module: true, ext: 'js'},
+				},
+				importer: importer,
+			});
+		});
+
+		it('should import default exports', () => {
+			return Promise.all([
+				loader.loadAsync('template', 'record/detail'),
+				loader.loadAsync('layout', 'detail'),
+			]).then(([template, layout]) => {
+				expect(template()).toBe('templates/record/detail.js');
+				expect(layout).toEqual({type: 'default', layout: []});
+				expect(importer.calls.first().args[0].url).toBe('templates/record/detail.js?_=1');
+				expect(window.fetch).not.toHaveBeenCalled();
+			});
+		});
+
+		it('should reject if there is no default export', () => {
+			importer.and.returnValue(Promise.resolve({}));
+
+			return loader.loadAsync('template', 'test').then(
+				() => fail('Should be rejected.'),
+				error => expect(error instanceof TypeError).toBeTrue()
+			);
+		});
+
+		it('should reject on abort', () => {
+			importer.and.returnValue(new Promise(() => {}));
+
+			const controller = new AbortController();
+
+			const promise = loader.loadAsync('template', 'test', {signal: controller.signal});
+
+			controller.abort();
+
+			return promise.then(
+				() => fail('Should be rejected.'),
+				error => expect(error.name).toBe('AbortError')
+			);
+		});
+
+		it('should try next paths if a module is not found', () => {
+			importer.and.callFake(request => {
+				if (request.filePath.startsWith('custom/')) {
+					const error = new Error('Not found.');
+
+					error.status = 404;
+
+					return Promise.reject(error);
+				}
+
+				return Promise.resolve({default: request.filePath});
+			});
+
+			loader.registerType('template', {path: ['custom/templates', 'client/templates']});
+
+			return loader.loadAsync('template', 'test').then(template => {
+				expect(template).toBe('client/templates/test.js');
+				expect(importer).toHaveBeenCalledTimes(2);
+				expect(loader.getFilePath('template', 'test')).toBe('client/templates/test.js');
+			});
+		});
+
+		it('should pass an unknown type error to the error callback', () => {
+			return new Promise(resolve => {
+				loader.load('unknown', 'test', () => fail('Should not be loaded.'), error => {
+					expect(error instanceof TypeError).toBeTrue();
+					expect(error.message).toContain('Unknown resource type "unknown"');
+
+					resolve();
+				});
+			});
+		});
+	});
+
+	describe('queue', () => {
+		let responses;
+
+		beforeEach(() => {
+			responses = {};
+
+			spyOn(window, 'fetch').and.callFake(url => {
+				return new Promise(resolve => responses[url] = () => resolve(new Response(url)));
+			});
+
+			loader = new Loader({cacheBusting: 'none', maxConcurrent: 1});
+		});
+
+		const getUrls = () => window.fetch.calls.allArgs().map(args => args[0]);
+
+		const waitForFetch = count => {
+			const check = () => {
+				if (window.fetch.calls.count() >= count) {
+					return Promise.resolve();
+				}
+
+				return new Promise(resolve => setTimeout(resolve, 0)).then(check);
+			};
+
+			return check();
+		};
+
+		it('should limit concurrent requests and send them in order of priority', () => {
+			const promise = Promise.all([
+				loader.loadAsync('template', 'a'),
+				loader.loadAsync('template', 'b'),
+				loader.loadAsync('template', 'c', {priority: 1}),
+				loader.loadAsync('template', 'd'),
+			]);
+
+			loader.prioritize('template', 'd', 2);
+
+			return waitForFetch(1)
+				.then(() => {
+					expect(getUrls()).toEqual(['templates/a.tpl']);
+
+					responses['templates/a.tpl']();
+
+					return waitForFetch(2);
+				})
+				.then(() => {
+					responses['templates/d.tpl']();
+
+					return waitForFetch(3);
+				})
+				.then(() => {
+					responses['templates/c.tpl']();
+
+					return waitForFetch(4);
+				})
+				.then(() => {
+					responses['templates/b.tpl']();
+
+					return promise;
+				})
+				.then(() => {
+					expect(getUrls()).toEqual([
+						'templates/a.tpl',
+						'templates/d.tpl',
+						'templates/c.tpl',
+						'templates/b.tpl',
+					]);
+				});
+		});
+
+		it('should drop aborted requests from the queue', () => {
+			const controller = new AbortController();
+
+			const promise = loader.loadAsync('template', 'a');
+			const abortedPromise = loader.loadAsync('template', 'b', {signal: controller.signal});
+
+			controller.abort();
+
+			return abortedPromise
+				.then(() => fail('Should be rejected.'), error => expect(error.name).toBe('AbortError'))
+				.then(() => waitForFetch(1))
+				.then(() => {
+					responses['templates/a.tpl']();
+
+					return promise;
+				})
+				.then(() => {
+					expect(getUrls()).toEqual(['templates/a.tpl']);
+				});
+		});
+	});
+
+	describe('integrity', () => {
+		const helloHex = '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824';
+		const helloSri = 'sha256-LPJNul+wow4m6DsqxbninhsWHlwfp0JecwQzYpOLmCQ=';
+
+		beforeEach(() => {
+			spyOn(window, 'fetch').and.callFake(() => Promise.resolve(new Response('hello')));
+		});
+
+		it('should accept resources matching the manifest', () => {
+			loader = new Loader({
+				integrity: {
+					manifest: {
+						'templates/a.tpl': helloHex,
+						'templates/b.tpl': helloSri,
+					},
+				},
+			});
+
+			return Promise.all([
+				loader.loadAsync('template', 'a'),
+				loader.loadAsync('template', 'b'),
+				loader.loadAsync('template', 'c'),
+			]).then(result => expect(result).toEqual(['hello', 'hello', 'hello']));
+		});
+
+		it('should reject on a hash mismatch', () => {
+			loader = new Loader({
+				integrity: {manifest: {'templates/a.tpl': helloHex.replace('2', '3')}},
+			});
+
+			return loader.loadAsync('template', 'a').then(
+				() => fail('Should be rejected.'),
+				error => expect(error.message).toContain('hash mismatch')
+			);
+		});
+
+		it('should reject resources missing in the manifest if required', () => {
+			loader = new Loader();
+
+			loader.setIntegrity({manifest: {}, required: true});
+
+			return loader.loadAsync('template', 'a').then(
+				() => fail('Should be rejected.'),
+				error => expect(error.message).toContain('templates/a.tpl')
+			);
+		});
+
+		it('should replace a tampered cache entry', () => {
+			const entries = {'templates/a.tpl': {url: 'templates/a.tpl?_=1', content: 'tampered'}};
+
+			const cache = {
+				get: key => Promise.resolve(entries[key]),
+				set: (key, value) => {
+					entries[key] = value;
+
+					return Promise.resolve();
+				},
+			};
+
+			loader = new Loader({
+				cache: cache,
+				cacheBusting: {version: '1'},
+				integrity: {manifest: {'templates/a.tpl': helloHex}},
+			});
+
+			return loader.loadAsync('template', 'a').then(template => {
+				expect(template).toBe('hello');
+				expect(entries['templates/a.tpl'].content).toBe('hello');
+			});
+		});
+	});
+
+	describe('interceptors', () => {
+		beforeEach(() => {
+			spyOn(window, 'fetch').and.callFake(url => Promise.resolve(new Response('network:' + url)));
+		});
+
+		it('should pass headers and credentials', () => {
+			loader = new Loader({
+				cacheBusting: 'none',
+				headers: {'Authorization': 'Bearer test'},
+				credentials: 'include',
+			});
+
+			return loader.loadAsync('template', 'test').then(() => {
+				const init = window.fetch.calls.first().args[1];
+
+				expect(init.headers).toEqual({
+					'X-Requested-With': 'XMLHttpRequest',
+					'Authorization': 'Bearer test',
+				});
+				expect(init.credentials).toBe('include');
+			});
+		});
+
+		it('should rewrite URLs and transform responses', () => {
+			loader = new Loader({
+				cacheBusting: 'none',
+				interceptors: [
+					{
+						request: request => {
+							request.url = 'https://cdn.test/' + request.url;
+						},
+					},
+					{
+						response: (response, request) => ({
+							status: response.status,
+							body: response.body + ':' + request.name,
+						}),
+					},
+				],
+			});
+
+			return loader.loadAsync('template', 'test').then(template => {
+				expect(template).toBe('network:https://cdn.test/templates/test.tpl:test');
+			});
+		});
+
+		it('should short-circuit a request with a response', () => {
+			loader = new Loader();
+
+			loader.addInterceptor({
+				request: request => ({...request, response: 'intercepted'}),
+			});
+
+			loader.addInterceptor({
+				request: () => fail('Should not be called.'),
+			});
+
+			return loader.loadAsync('template', 'test').then(template => {
+				expect(template).toBe('intercepted');
+				expect(window.fetch).not.toHaveBeenCalled();
+			});
+		});
+
+		it('should reject if an intercepted response has an error status', () => {
+			loader = new Loader({
+				interceptors: [{response: response => ({...response, status: 403})}],
+			});
+
+			return loader.loadAsync('template', 'test').then(
+				() => fail('Should be rejected.'),
+				error => expect(error.status).toBe(403)
+			);
+		});
+	});
+
+	describe('instrumentation', () => {
+		beforeEach(() => {
+			spyOn(window, 'fetch').and.callFake(url => {
+				if (url.indexOf('missing') !== -1) {
+					return Promise.resolve(new Response('', {status: 404}));
+				}
+
+				return Promise.resolve(new Response('hello'));
+			});
+
+			loader = new Loader({cacheBusting: 'none'});
+		});
+
+		it('should trigger start and end events', () => {
+			const events = [];
+
+			loader.on('load:start', metric => events.push(['start', metric]));
+			loader.on('load:end', metric => events.push(['end', metric]));
+
+			return loader.loadAsync('template', 'test').then(() => {
+				expect(events.length).toBe(2);
+				expect(events[0]).toEqual(['start', {type: 'template', name: 'test', url: 'templates/test.tpl'}]);
+
+				const metric = events[1][1];
+
+				expect(metric.url).toBe('templates/test.tpl');
+				expect(metric.size).toBe(5);
+				expect(metric.cached).toBe(false);
+				expect(metric.duration).toBeGreaterThanOrEqual(0);
+			});
+		});
+
+		it('should trigger an error event', () => {
+			const errorSpy = jasmine.createSpy('error');
+
+			loader.on('load:error', errorSpy);
+
+			return loader.loadAsync('template', 'missing').then(
+				() => fail('Should be rejected.'),
+				() => {
+					expect(errorSpy).toHaveBeenCalledTimes(1);
+
+					const metric = errorSpy.calls.first().args[0];
+
+					expect(metric.name).toBe('missing');
+					expect(metric.error.status).toBe(404);
+					expect(loader.getMetrics()).toEqual([]);
+				}
+			);
+		});
+
+		it('should keep a limited number of recent metrics', () => {
+			loader = new Loader({cacheBusting: 'none', maxMetrics: 2});
+
+			return Promise.all(['a', 'b', 'c'].map(name => loader.loadAsync('template', name))).then(() => {
+				expect(loader.getMetrics().map(metric => metric.name)).toEqual(['b', 'c']);
+			});
+		});
+
+		it('should report cache hits', () => {
+			const cache = {
+				get: () => Promise.resolve({url: 'templates/test.tpl?_=1', content: 'cached'}),
+				set: () => Promise.resolve(),
+			};
+
+			loader = new Loader({cache: cache, cacheBusting: {version: '1'}});
+
+			return loader.loadAsync('template', 'test').then(() => {
+				expect(loader.getMetrics()[0].cached).toBe(true);
+			});
+		});
+
+		it('should list the slowest resources', () => {
+			loader._metrics = [
+				{type: 'template', name: 'a', url: 'a', duration: 10, size: 1, cached: false},
+				{type: 'template', name: 'b', url: 'b', duration: 30, size: 1, cached: false},
+				{type: 'layout', name: 'c', url: 'c', duration: 20, size: 1, cached: false},
+			];
+
+			expect(loader.getSlowest(2).map(metric => metric.name)).toEqual(['b', 'c']);
+
+			loader.clearMetrics();
+
+			expect(loader.getSlowest()).toEqual([]);
+		});
+	});
 });
@@ -0,0 +1,92 @@
+
+import MemoryProvider from '../../src/bull.memory-provider.js';
+import Loader from '../../src/bull.loader.js';
+import Templator from '../../src/bull.templator.js';
+
+describe('MemoryProvider', () => {
+	let provider;
+	let loader;
+
+	beforeEach(() => {
+		provider = new MemoryProvider({
+			resources: {
+				template: {test: '<b>{{name}}</b>'},
+				layout: {detail: {type: 'default', layout: []}},
+			},
+			files: {
+				'templates/layouts/default.tpl': 'default',
+			},
+		});
+
+		loader = new Loader({provider: provider});
+	});
+
+	it('should serve resources by type and name and by file path', () => {
+		return Promise.all([
+			loader.loadAsync('template', 'test'),
+			loader.loadAsync('layout', 'detail'),
+			loader.loadAsync('layoutTemplate', 'default'),
+		]).then(result => {
+			expect(result).toEqual(['<b>{{name}}</b>', {type: 'default', layout: []}, 'default']);
+		});
+	});
+
+	it('should return a fresh copy of a layout on each load', () => {
+		return loader.loadAsync('layout', 'detail')
+			.then(layout => {
+				layout.type = 'changed';
+
+				return loader.loadAsync('layout', 'detail');
+			})
+			.then(layout => expect(layout.type).toBe('default'));
+	});
+
+	it('should reject with 404 for missing resources', () => {
+		return loader.loadAsync('template', 'missing').then(
+			() => fail('Should be rejected.'),
+			error => expect(error.status).toBe(404)
+		);
+	});
+
+	it('should inject failures', () => {
+		const error = new Error('Injected.');
+
+		provider.setFailure('template/test', error);
+
+		return loader.loadAsync('template', 'test').then(
+			() => fail('Should be rejected.'),
+			e => expect(e).toBe(error)
+		);
+	});
+
+	it('should retry after an injected server error', () => {
+		loader = new Loader({provider: provider, retry: {attempts: 1, delay: 0}});
+
+		const load = provider.load.bind(provider);
+
+		spyOn(provider, 'load').and.callFake(request => {
+			provider.setFailure('template/test', provider.load.calls.count() === 1 ? 503 : null);
+
+			return load(request);
+		});
+
+		return loader.loadAsync('template', 'test').then(template => {
+			expect(template).toBe('<b>{{name}}</b>');
+			expect(provider.load.calls.count()).toBe(2);
+		});
+	});
+
+	it('should simulate latency to reproduce ordering', () => {
+		provider.add('template', 'slow', 'slow');
+		provider.add('template', 'fast', 'fast');
+		provider.setLatency(request => request.name === 'slow' ? 20 : 1);
+
+		const templator = new Templator({loader: loader, compilable: false});
+		const order = [];
+
+		return Promise.all([
+			new Promise(resolve => templator.getTemplate('slow', null, t => resolve(order.push(t)))),
+			new Promise(resolve => templator.getTemplate('fast', null, t => resolve(order.push(t)))),
+		]).then(() => expect(order).toEqual(['fast', 'slow']));
+	});
+});
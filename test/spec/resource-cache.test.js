@@ -0,0 +1,41 @@
+
+import ResourceCache from '../../src/bull.resource-cache.js';
+
+describe('ResourceCache', () => {
+	let name;
+
+	beforeEach(() => {
+		name = 'bullbone-test-' + Math.random().toString(36).substring(2);
+	});
+
+	afterEach(() => {
+		indexedDB.deleteDatabase(name);
+	});
+
+	it('should store and get entries', () => {
+		const cache = new ResourceCache({name: name, version: '1'});
+
+		return cache.set('templates/test.tpl', {url: 'templates/test.tpl?_=1', content: 'test'})
+			.then(() => cache.get('templates/test.tpl'))
+			.then(entry => {
+				expect(entry).toEqual({url: 'templates/test.tpl?_=1', content: 'test'});
+			});
+	});
+
+	it('should drop entries when the version is changed', () => {
+		const cache1 = new ResourceCache({name: name, version: '1'});
+
+		return cache1.set('templates/test.tpl', 'test')
+			.then(() => cache1._dbPromise.then(db => db.close()))
+			.then(() => {
+				const cache2 = new ResourceCache({name: name, version: '2'});
+
+				return cache2.get('templates/test.tpl')
+					.then(entry => {
+						expect(entry).toBeUndefined();
+
+						return cache2._dbPromise.then(db => db.close());
+					});
+			});
+	});
+});
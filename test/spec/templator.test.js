@@ -1,5 +1,7 @@
 
 import Templator from '../../src/bull.templator.js';
+import Loader from '../../src/bull.loader.js';
+import MemoryProvider from '../../src/bull.memory-provider.js';
 
 describe('Templator', () => {
     let templator;
@@ -59,8 +61,432 @@ describe('Templator', () => {
 			template = t;
 		});
 
-		expect(templator._buildTemplate.calls.first().args[0].some).toBe('test');
+		expect(templator._buildTemplate.calls.first().args[0].some).toBeUndefined();
 		expect(templator._buildTemplate.calls.first().args[1].some).toBe('test');
 		expect(template).toBe('test');
 	});
+
+	it ('should call error callback if template could not be loaded', () => {
+		const error = new Error('Could not load template.');
+
+		loader.load.and.callFake((type, name, callback, errorCallback) => errorCallback(error));
+
+		const callback = jasmine.createSpy('callback');
+		const errorCallback = jasmine.createSpy('errorCallback');
+
+		templator.getTemplate('test', null, callback, errorCallback);
+
+		expect(callback).not.toHaveBeenCalled();
+		expect(errorCallback).toHaveBeenCalledWith(error);
+	});
+
+	it ('should load a template once when requested in parallel', () => {
+		const pending = [];
+
+		loader.load.and.callFake((type, name, callback) => pending.push(callback));
+
+		const callback1 = jasmine.createSpy('callback1');
+		const callback2 = jasmine.createSpy('callback2');
+
+		templator.getTemplate('test', null, callback1);
+		templator.getTemplate('test', null, callback2);
+
+		expect(loader.load.calls.count()).toBe(1);
+
+		pending[0](defaultTemplate);
+
+		expect(callback1).toHaveBeenCalled();
+		expect(callback2.calls.first().args[0]).toBe(callback1.calls.first().args[0]);
+	});
+
+	it ('should load a layout template once when requested in parallel', () => {
+		const pending = [];
+
+		loader.load.and.callFake((type, name, callback) => pending.push(callback));
+
+		templator.compilable = false;
+
+		const callback1 = jasmine.createSpy('callback1');
+		const callback2 = jasmine.createSpy('callback2');
+
+		templator.getTemplate(undefined, {layout: {type: 'row'}}, callback1);
+		templator.getTemplate(undefined, {layout: {type: 'row'}}, callback2);
+
+		expect(loader.load.calls.count()).toBe(1);
+
+		pending[0]('test');
+
+		expect(callback1).toHaveBeenCalledWith('test');
+		expect(callback2).toHaveBeenCalledWith('test');
+	});
+
+	it ('should fill caches from a bundle', () => {
+		loader.loadBundle = () => Promise.resolve({
+			'template/bundled': 'bundled',
+			'layoutTemplate/row': 'row',
+			'layout/detail': {},
+		});
+
+		templator.compilable = false;
+
+		return templator.loadBundle('bundles/main.json').then(() => {
+			const callback = jasmine.createSpy('callback');
+
+			templator.getTemplate('bundled', null, callback);
+			templator.getTemplate(undefined, {layout: {type: 'row'}}, callback);
+
+			expect(callback.calls.argsFor(0)[0]).toBe('bundled');
+			expect(callback.calls.argsFor(1)[0]).toBe('row');
+			expect(loader.load.calls.count()).toBe(0);
+		});
+	});
+
+	it ('should preload a template and a layout template', () => {
+		return Promise.all([
+			templator.preloadTemplate('test'),
+			templator.preloadLayoutTemplate('row'),
+		]).then(() => {
+			expect(templator._getCachedTemplate('test')).toBeTruthy();
+			expect(templator._getCachedLayoutTemplate('row')).toBeTruthy();
+		});
+	});
+
+	it ('should not compile precompiled templates', () => {
+		const template = () => 'precompiled';
+
+		loader.load.and.callFake((type, name, callback) => callback(template));
+
+		spyOn(templator, 'compileTemplate');
+
+		const callback = jasmine.createSpy('callback');
+
+		templator.getTemplate('test', null, callback);
+
+		expect(templator.compileTemplate).not.toHaveBeenCalled();
+		expect(callback.calls.first().args[0]({})).toBe('precompiled');
+	});
+
+	it ('should bind templates loaded as modules to the templator environment', () => {
+		const templates = {
+			compiled: Handlebars.compile('{{moduleTestHelper}} {{> moduleTestPartial}}'),
+			spec: new Function('return ' + Handlebars.precompile('{{moduleTestHelper}}'))(),
+		};
+
+		loader.load.and.callFake((type, name, callback) => callback(templates[name]));
+
+		templator.registerHelper('moduleTestHelper', () => 'own');
+		templator.registerPartial('moduleTestPartial', 'partial');
+
+		const callback = jasmine.createSpy('callback');
+
+		templator.getTemplate('compiled', null, callback);
+		templator.getTemplate('spec', null, callback);
+
+		expect(callback.calls.argsFor(0)[0]({})).toBe('own partial');
+		expect(callback.calls.argsFor(1)[0]({})).toBe('own');
+	});
+
+	it ('should stop waiting for a template on abort', () => {
+		let loadOptions;
+
+		loader.load.and.callFake((type, name, callback, errorCallback, options) => loadOptions = options);
+
+		const controller1 = new AbortController();
+		const controller2 = new AbortController();
+
+		const callback = jasmine.createSpy('callback');
+		const errorCallback = jasmine.createSpy('errorCallback');
+
+		templator.getTemplate('test', null, callback, errorCallback, {signal: controller1.signal});
+		templator.getTemplate('test', null, callback, errorCallback, {signal: controller2.signal});
+
+		controller1.abort();
+
+		expect(errorCallback).toHaveBeenCalledTimes(1);
+		expect(loadOptions.signal.aborted).toBe(false);
+
+		controller2.abort();
+
+		expect(errorCallback).toHaveBeenCalledTimes(2);
+		expect(loadOptions.signal.aborted).toBe(true);
+		expect(callback).not.toHaveBeenCalled();
+	});
+
+	it ('should compile templates in an isolated environment', () => {
+		const other = new Templator({
+			loader: loader,
+			helpers: {greet: () => 'other'},
+		});
+
+		templator.registerHelper('greet', name => 'Hello, ' + name);
+		templator.registerPartial('item', '[{{this}}]');
+
+		Handlebars.registerHelper('globalTestHelper', () => 'global');
+
+		try {
+			const template = templator.compileTemplate('{{greet name}} {{#each list}}{{> item}}{{/each}} {{globalTestHelper}}');
+
+			expect(template({name: 'World', list: [1, 2]})).toBe('Hello, World [1][2] global');
+			expect(other.compileTemplate('{{greet}}')({})).toBe('other');
+			expect(Handlebars.helpers.greet).toBeUndefined();
+		} finally {
+			Handlebars.unregisterHelper('globalTestHelper');
+		}
+	});
+
+	it ('should let global overrides of built-in helpers win unless overridden in the templator', () => {
+		const helperMissing = Handlebars.helpers.helperMissing;
+
+		Handlebars.registerHelper('helperMissing', () => 'missing');
+
+		try {
+			const template = templator.compileTemplate('{{foo 1}}');
+
+			expect(template({})).toBe('missing');
+
+			Handlebars.registerHelper('laterTestHelper', () => 'later');
+
+			expect(templator.compileTemplate('{{laterTestHelper}}')({})).toBe('later');
+
+			templator.registerHelper('helperMissing', () => 'own');
+
+			expect(template({})).toBe('own');
+		} finally {
+			Handlebars.registerHelper('helperMissing', helperMissing);
+			Handlebars.unregisterHelper('laterTestHelper');
+		}
+	});
+
+	it ('should use global helpers overridden after rendering', () => {
+		Handlebars.registerHelper('overriddenTestHelper', () => 'v1');
+
+		try {
+			const template = templator.compileTemplate('{{overriddenTestHelper}}');
+
+			expect(template({})).toBe('v1');
+
+			Handlebars.registerHelper('overriddenTestHelper', () => 'v2');
+
+			expect(template({})).toBe('v2');
+			expect(templator.compileTemplate('{{overriddenTestHelper}}')({})).toBe('v2');
+		} finally {
+			Handlebars.unregisterHelper('overriddenTestHelper');
+		}
+	});
+
+	it ('should load partials used in a template before compiling', () => {
+		const partials = {
+			row: '<{{> cell}}{{> row/tree}}>',
+			cell: 'c',
+			'row/tree': '{{#if children}}{{#each children}}{{> row/tree}}{{/each}}{{else}}t{{/if}}',
+		};
+
+		loader.load.and.callFake((type, name, callback, errorCallback) => {
+			if (type === 'template') {
+				callback('{{> row}}{{> row}}{{#> missing}}fallback{{/missing}}');
+
+				return;
+			}
+
+			if (name in partials) {
+				callback(partials[name]);
+
+				return;
+			}
+
+			const error = new Error('Not found.');
+
+			error.status = 404;
+
+			errorCallback(error);
+		});
+
+		const callback = jasmine.createSpy('callback');
+		const errorCallback = jasmine.createSpy('errorCallback');
+
+		templator.getTemplate('test', null, callback, errorCallback);
+
+		expect(errorCallback).not.toHaveBeenCalled();
+		expect(callback.calls.first().args[0]({})).toBe('<ct><ct>fallback');
+		expect(loader.load.calls.allArgs().map(args => args[0] + '/' + args[1])).toEqual([
+			'template/test',
+			'partial/row',
+			'partial/cell',
+			'partial/row/tree',
+			'partial/missing',
+		]);
+	});
+
+	it ('should not load inline partials declared in a template', () => {
+		loader.load.and.callFake((type, name, callback, errorCallback) => {
+			type === 'template' ?
+				callback('{{#*inline "row"}}<i>{{this}}</i>{{/inline}}{{> row}}') :
+				errorCallback(new Error('Not found.'));
+		});
+
+		const callback = jasmine.createSpy('callback');
+		const errorCallback = jasmine.createSpy('errorCallback');
+
+		templator.getTemplate('test', null, callback, errorCallback);
+
+		expect(errorCallback).not.toHaveBeenCalled();
+		expect(callback.calls.first().args[0]('x')).toBe('<i>x</i>');
+		expect(loader.load).toHaveBeenCalledTimes(1);
+	});
+
+	it ('should load partials including each other for concurrent templates', () => {
+		templator = new Templator({
+			loader: new Loader({
+				cacheBusting: 'none',
+				provider: new MemoryProvider({
+					latency: request => request.name === 'b' ? 20 : 5,
+					resources: {
+						template: {t1: '{{> a}}', t2: '{{> b}}'},
+						partial: {
+							a: 'a{{#if deep}}{{> b deep=false}}{{/if}}',
+							b: 'b{{#if deep}}{{> a deep=false}}{{/if}}',
+						},
+					},
+				}),
+			}),
+		});
+
+		const get = name => new Promise((resolve, reject) => templator.getTemplate(name, null, resolve, reject));
+
+		return Promise.all([get('t1'), get('t2')]).then(([t1, t2]) => {
+			expect(t1({deep: true})).toBe('ab');
+			expect(t2({deep: true})).toBe('ba');
+		});
+	});
+
+	it ('should fail if a partial could not be loaded', () => {
+		const error = new Error('Not found.');
+
+		loader.load.and.callFake((type, name, callback, errorCallback) => {
+			type === 'template' ?
+				callback('{{> missing}}') :
+				errorCallback(error);
+		});
+
+		const callback = jasmine.createSpy('callback');
+		const errorCallback = jasmine.createSpy('errorCallback');
+
+		templator.getTemplate('test', null, callback, errorCallback);
+
+		expect(callback).not.toHaveBeenCalled();
+		expect(errorCallback).toHaveBeenCalledWith(error);
+	});
+
+	it ('should extend parent templates overriding blocks', () => {
+		const partials = {
+			'record/base': '<h>{{#block "header"}}Header{{/block}}</h><b>{{#block "body"}}Body{{/block}}</b>',
+			'record/detail': '{{#extend "record/base"}}{{#content "body"}}Detail {{name}}{{/content}}{{/extend}}',
+		};
+
+		loader.load.and.callFake((type, name, callback) => {
+			type === 'template' ?
+				callback(
+					'{{#extend "record/detail"}}' +
+					'{{#content "header" mode="prepend"}}New {{/content}}' +
+					'{{#content "body" mode="append"}}!{{/content}}' +
+					'{{/extend}}'
+				) :
+				callback(partials[name]);
+		});
+
+		const callback = jasmine.createSpy('callback');
+
+		templator.getTemplate('test', null, callback);
+
+		expect(loader.load.calls.allArgs().map(args => args[1])).toEqual(['test', 'record/detail', 'record/base']);
+		expect(callback.calls.first().args[0]({name: 'Test'})).toBe('<h>New Header</h><b>Detail Test!</b>');
+	});
+
+	it ('should pick an engine by an extension or name prefix', () => {
+		const engine = {
+			compile: source => source.toUpperCase(),
+			render: (template, data) => template + ':' + data.name,
+		};
+
+		templator.registerEngine('upper', {engine: engine, ext: 'up', prefix: 'upper/'});
+		templator.registerEngine('underscore', {prefix: 'legacy/'});
+
+		expect(templator.compileTemplate('a', 'record/detail.up')({name: 'x'})).toBe('A:x');
+		expect(templator.compileTemplate('b', 'upper/detail')({name: 'y'})).toBe('B:y');
+		expect(templator.compileTemplate('<%= name %>', 'legacy/detail')({name: 'z'})).toBe('z');
+		expect(templator.compileTemplate('{{name}}', 'record/detail')({name: 'w'})).toBe('w');
+		expect(templator.precompileTemplate('<%= name %>', 'legacy/detail')).toContain('function');
+	});
+
+	it ('should cache templates built from layouts', () => {
+		spyOn(templator, 'compileTemplate').and.callThrough();
+		spyOn(_, 'template').and.callThrough();
+
+		const callback = jasmine.createSpy('callback');
+
+		templator.getTemplate(undefined, {layout: {type: 'row', a: 1, b: 2}, data: {some: 'x'}}, callback);
+		templator.getTemplate(undefined, {layout: {b: 2, a: 1, type: 'row'}, data: {some: 'x'}}, callback);
+		templator.getTemplate(undefined, {layout: {type: 'row', a: 1, b: 2}, data: {some: 'y'}}, callback);
+
+		expect(_.template).toHaveBeenCalledTimes(1);
+		expect(templator.compileTemplate).toHaveBeenCalledTimes(2);
+		expect(callback.calls.argsFor(0)[0]).toBe(callback.calls.argsFor(1)[0]);
+		expect(callback.calls.argsFor(2)[0]({})).toBe('y');
+		expect(undefined in templator._templates).toBeFalse();
+	});
+
+	it ('should not modify layout definitions and not cache layouts with functions', () => {
+		spyOn(templator, 'compileTemplate').and.callThrough();
+
+		const layoutDefs = {type: 'row', layout: []};
+		const callback = jasmine.createSpy('callback');
+
+		templator.getTemplate(undefined, {layout: layoutDefs, data: {some: 'x'}}, callback);
+		templator.getTemplate(undefined, {layout: layoutDefs, data: {some: 'x'}}, callback);
+
+		expect(layoutDefs).toEqual({type: 'row', layout: []});
+		expect(templator.compileTemplate).toHaveBeenCalledTimes(1);
+
+		templator.getTemplate(undefined, {layout: layoutDefs, data: {some: 'y', fn: () => 1}}, callback);
+		templator.getTemplate(undefined, {layout: layoutDefs, data: {some: 'y', fn: () => 2}}, callback);
+
+		expect(templator.compileTemplate).toHaveBeenCalledTimes(3);
+	});
+
+	it ('should evict least recently used templates built from layouts', () => {
+		templator = new Templator({loader: loader, compileCacheLimit: 2});
+
+		['a', 'b', 'c'].forEach(some => templator.getTemplate(undefined, {layout: {}, data: {some: some}}, () => {}));
+
+		expect(templator._builtTemplates.size).toBe(2);
+	});
+
+	it ('should use templates built from layouts beforehand', () => {
+		const template = () => 'precompiled';
+		const callback = jasmine.createSpy('callback');
+
+		templator.addLayoutTemplate({type: 'row', layout: [{name: 'a'}]}, null, template);
+
+		templator.getTemplate(undefined, {layout: {layout: [{name: 'a'}], type: 'row'}, data: null}, callback);
+		templator.getTemplate(undefined, {layout: {type: 'row', layout: [{name: 'a'}]}, data: {some: 'x'}}, callback);
+
+		expect(callback.calls.argsFor(0)[0]).toBe(template);
+		expect(callback.calls.argsFor(1)[0]).not.toBe(template);
+		expect(loader.load).toHaveBeenCalledTimes(1);
+	});
+
+	it ('should cache compiled templates by content evicting least recently used', () => {
+		templator = new Templator({loader: loader, compileCacheLimit: 2});
+
+		const a = templator.compileTemplate('a');
+		const b = templator.compileTemplate('b');
+
+		expect(templator.compileTemplate('a')).toBe(a);
+
+		templator.compileTemplate('c');
+
+		expect(templator.compileTemplate('a')).toBe(a);
+		expect(templator.compileTemplate('b')).not.toBe(b);
+		expect(templator.compileTemplate('a', 'record/detail')).toBe(a);
+	});
 });
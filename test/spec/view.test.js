@@ -1,6 +1,7 @@
 
 import View from '../../src/bull.view.js';
 import BullView from "../../src/bull.view.js";
+import Templator from '../../src/bull.templator.js';
 import {h, fragment} from 'snabbdom';
 
 describe('View', function () {
@@ -1471,4 +1472,135 @@ describe('View', function () {
 
         container.remove();
     });
+
+    it('should reject createView and trigger error when a view could not be created', async () => {
+        const error = new Error('Not found.');
+
+        factory.create = (viewName, options, callback, errorCallback) => errorCallback(error);
+
+        const parent = new View();
+
+        parent._initialize({...viewData, factory: factory});
+
+        const handler = jasmine.createSpy('handler');
+
+        parent.on('error', handler);
+
+        let rejectedWith;
+
+        await parent.createView('child', 'Child', {}).catch(e => rejectedWith = e);
+
+        expect(rejectedWith).toBe(error);
+        expect(handler).toHaveBeenCalledWith(error);
+        expect(parent.hasView('child')).toBe(false);
+    });
+
+    it('should get ready when a waited view could not be created', async () => {
+        factory.create = (viewName, options, callback, errorCallback) => {
+            setTimeout(() => errorCallback(new Error('Not found.')), 0);
+        };
+
+        class Parent extends View {
+            setup() {
+                this.createView('child', 'Child', {}).catch(() => {});
+            }
+        }
+
+        const parent = new Parent();
+
+        await new Promise(resolve => {
+            parent._initialize({...viewData, factory: factory, onReady: () => resolve()});
+        });
+
+        expect(parent.isReady).toBe(true);
+    });
+
+    it('should reject render and trigger error when a template could not be loaded', async () => {
+        const error = new Error('Could not load template.');
+
+        const view = new View({template: 'test'});
+
+        view._initialize({
+            ...viewData,
+            templator: {
+                compilable: true,
+                getTemplate: (name, layoutOptions, callback, errorCallback) => errorCallback(error),
+            },
+        });
+
+        const handler = jasmine.createSpy('handler');
+
+        view.on('error', handler);
+
+        let rejectedWith;
+
+        await view.render().catch(e => rejectedWith = e);
+
+        expect(rejectedWith).toBe(error);
+        expect(handler).toHaveBeenCalledWith(error);
+        expect(view.isBeingRendered()).toBe(false);
+    });
+
+    it('should abort template loading on removal and raise its priority', () => {
+        const templator = {
+            compilable: true,
+            getTemplate: jasmine.createSpy('getTemplate'),
+            prioritize: jasmine.createSpy('prioritize'),
+        };
+
+        const view = new View({template: 'test'});
+
+        view.loadPriority = 1;
+
+        view._initialize({...viewData, templator: templator});
+
+        const handler = jasmine.createSpy('handler');
+
+        view.on('error', handler);
+        view.render();
+
+        const [, , , errorCallback, options] = templator.getTemplate.calls.first().args;
+
+        expect(options.priority).toBe(1);
+
+        view.prioritizeLoading(5);
+
+        expect(templator.prioritize).toHaveBeenCalledWith('template', 'test', 5);
+
+        options.signal.addEventListener('abort', () => errorCallback(options.signal.reason));
+
+        view.remove();
+
+        expect(options.signal.aborted).toBe(true);
+        expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should not fail raising a priority without support of priorities', () => {
+        const view = new View({template: 'test'});
+
+        view._initialize({...viewData, templator: {compilable: true, getTemplate: () => {}}});
+
+        expect(() => view.prioritizeLoading(5)).not.toThrow();
+        expect(view.loadPriority).toBe(5);
+        expect(() => new Templator().prioritize('template', 'test', 5)).not.toThrow();
+    });
+
+    it('should share compiled inline templates between instances', () => {
+        const templator = new Templator();
+
+        spyOn(templator, 'compileTemplate').and.callThrough();
+
+        class RowView extends View {
+            templateContent = `<td>{{name}}</td>`
+        }
+
+        const views = [new RowView(), new RowView()];
+
+        views.forEach(view => view._initialize({...viewData, templator: templator}));
+
+        views[1].setTemplateContent(`<td>{{name}}</td>`);
+
+        expect(templator.compileTemplate).toHaveBeenCalledTimes(3);
+        expect(views[0]._templateCompiled).toBe(views[1]._templateCompiled);
+    });
 });